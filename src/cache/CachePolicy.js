@@ -0,0 +1,57 @@
+const { URL } = require('apollo-server-env')
+
+/**
+ * Determines how long responses from the TMDB API are cached, based on a list
+ * of rules that match the path of the request (ie `/3/configuration`). The
+ * first matching rule is used.
+ *
+ * @example
+ * const policy = new CachePolicy({
+ *   defaultTTL: 10000,
+ *   rules: [{ path: /^\/3\/trending\//, ttl: 3600 }]
+ * })
+ * policy.ttlFor('https://api.themoviedb.org/3/trending/all/day')
+ * // => 3600
+ */
+class CachePolicy {
+  /**
+   * @param {Object} options
+   * @param {Array<Object>} options.rules each rule has a `path` (RegExp), and
+   *     the `ttl` (in seconds) for requests that match the path. A TTL of `0`
+   *     means the responses are never cached. Rules can also set
+   *     `staleWhileRevalidate` and `staleIfError` (in seconds).
+   * @param {number} options.defaultTTL the TTL for requests that don't match
+   *     any of the rules.
+   */
+  constructor({ rules = [], defaultTTL }) {
+    this.rules = rules
+    this.defaultTTL = defaultTTL
+  }
+
+  /**
+   * Gets the cache settings for a request URL
+   * @param {string} url
+   * @return {{ttl: number, staleWhileRevalidate: number, staleIfError: number}}
+   */
+  settingsFor(url) {
+    const { pathname } = new URL(url)
+    const rule = this.rules.find(({ path }) => path.test(pathname))
+    const {
+      ttl = this.defaultTTL,
+      staleWhileRevalidate = 0,
+      staleIfError = 0
+    } = rule || {}
+    return { ttl, staleWhileRevalidate, staleIfError }
+  }
+
+  /**
+   * Gets the TTL for a request URL
+   * @param {string} url
+   * @return {number} the TTL in seconds
+   */
+  ttlFor(url) {
+    return this.settingsFor(url).ttl
+  }
+}
+
+module.exports = CachePolicy
@@ -0,0 +1,147 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { promisify } = require('util')
+
+const readFile = promisify(fs.readFile)
+const writeFile = promisify(fs.writeFile)
+const rename = promisify(fs.rename)
+const unlink = promisify(fs.unlink)
+const mkdir = promisify(fs.mkdir)
+const readdir = promisify(fs.readdir)
+const stat = promisify(fs.stat)
+
+// The number of seconds between cleanups of the directory
+const PRUNE_INTERVAL = 60
+
+// Makes the temporary file of each write unique within the process
+let writeCount = 0
+
+/**
+ * A key value cache that stores entries on disk. Each entry is stored in a
+ * separate file, named by the hash of the cache key. This allows the cache to
+ * be shared by multiple processes on the same machine, and to persist between
+ * restarts.
+ *
+ * Expired entries (and the oldest entries, when the directory is larger than
+ * `maxSize`) are deleted periodically, when entries are written.
+ *
+ * Implements the `KeyValueCache` interface from `apollo-server-caching`.
+ */
+class FileCache {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory the directory where entries are stored.
+   *     It is created if it does not exist.
+   * @param {number} [options.maxSize] the max size of the entries in bytes.
+   *     When it's exceeded, the least recently written entries are deleted.
+   */
+  constructor({ directory, maxSize = Infinity }) {
+    this.directory = directory
+    this.maxSize = maxSize
+    this.prunedAt = Date.now()
+    this.ready = mkdir(directory, { recursive: true })
+  }
+
+  /** @private */
+  filePath(key) {
+    const hash = crypto
+      .createHash('sha1')
+      .update(key)
+      .digest('hex')
+    return path.join(this.directory, `${hash}.json`)
+  }
+
+  async get(key) {
+    let entry
+    try {
+      entry = JSON.parse(await readFile(this.filePath(key), 'utf8'))
+    } catch (error) {
+      // The entry does not exist, or the file is incomplete
+      return undefined
+    }
+    if (entry.expires && entry.expires < Date.now()) {
+      await this.delete(key)
+      return undefined
+    }
+    return entry.value
+  }
+
+  async set(key, value, options = {}) {
+    await this.ready
+    const { ttl } = options
+    const expires = ttl ? Date.now() + ttl * 1000 : null
+    const filePath = this.filePath(key)
+    // Write to a temporary file first, so other processes never read a
+    // partially written entry. The key is not stored, since it can include
+    // sensitive data.
+    writeCount += 1
+    const tempPath = `${filePath}.${process.pid}.${writeCount}.tmp`
+    await writeFile(tempPath, JSON.stringify({ value, expires }))
+    await rename(tempPath, filePath)
+    if (Date.now() - this.prunedAt > PRUNE_INTERVAL * 1000) {
+      this.prunedAt = Date.now()
+      // Runs in the background; entries that can't be deleted are skipped
+      this.prune().catch(() => {})
+    }
+  }
+
+  /**
+   * Deletes expired entries, then the least recently written entries until
+   * the size of the directory is below `maxSize`.
+   */
+  async prune() {
+    const now = Date.now()
+    const names = await readdir(this.directory)
+    const files = await Promise.all(
+      names
+        .filter(name => name.endsWith('.json'))
+        .map(name => readEntryInfo(path.join(this.directory, name)))
+    )
+    let totalSize = 0
+    const remaining = []
+    for (const file of files.filter(Boolean)) {
+      if (file.expires && file.expires < now) {
+        await unlinkIfExists(file.filePath)
+      } else {
+        totalSize += file.size
+        remaining.push(file)
+      }
+    }
+    remaining.sort((a, b) => a.mtimeMs - b.mtimeMs)
+    for (const file of remaining) {
+      if (totalSize <= this.maxSize) break
+      await unlinkIfExists(file.filePath)
+      totalSize -= file.size
+    }
+  }
+
+  async delete(key) {
+    await unlinkIfExists(this.filePath(key))
+  }
+}
+
+/**
+ * Gets the size, modification time and expiration of an entry. Returns null
+ * if the file was deleted or can't be parsed.
+ * @private
+ */
+async function readEntryInfo(filePath) {
+  try {
+    const { size, mtimeMs } = await stat(filePath)
+    const { expires } = JSON.parse(await readFile(filePath, 'utf8'))
+    return { filePath, size, mtimeMs, expires }
+  } catch (error) {
+    return null
+  }
+}
+
+async function unlinkIfExists(filePath) {
+  try {
+    await unlink(filePath)
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error
+  }
+}
+
+module.exports = FileCache
@@ -0,0 +1,195 @@
+const crypto = require('crypto')
+const { fetch, Response, URL } = require('apollo-server-env')
+
+// Keys of the stale entries that are currently being refreshed in the
+// background. This is shared by all requests, so each entry is only refreshed
+// once.
+const revalidating = new Set()
+
+/**
+ * An HTTP cache for the TMDB data sources. Replaces the default `HTTPCache`
+ * from `apollo-datasource-rest`.
+ *
+ * - The TTL of each response is determined by the `CachePolicy`, instead of
+ *   the cache headers of the response.
+ * - Requests other than GET, and requests that should never be cached (the
+ *   TTL is 0), bypass the cache completely.
+ * - Requests are sent using the given fetch function (ie the request
+ *   scheduler).
+ * - Expired responses can be served stale, if the cache policy allows it (see
+ *   `config/cachePolicy.js`).
+ */
+class HTTPCache {
+  /**
+   * @param {KeyValueCache} keyValueCache
+   * @param {Object} options
+   * @param {CachePolicy} options.policy
+   * @param {(request: Request) => Promise<Response>} [options.fetch]
+   * @param {boolean} [options.allowStale] set to false to never serve stale
+   *     responses, regardless of the cache policy.
+   * @param {(details: Object) => void} [options.onStaleResponse] called when
+   *     a stale response is served.
+   */
+  constructor(
+    keyValueCache,
+    {
+      policy,
+      fetch: fetchFn = fetch,
+      allowStale = true,
+      onStaleResponse = () => {}
+    }
+  ) {
+    this.keyValueCache = keyValueCache
+    this.policy = policy
+    this.fetchFn = fetchFn
+    this.allowStale = allowStale
+    this.onStaleResponse = onStaleResponse
+  }
+
+  /**
+   * Gets the response for a request from the cache, or from the API if its
+   * not cached.
+   *
+   * @param {Request} request
+   * @param {Object} [options]
+   * @param {string} [options.cacheKey] defaults to the request url. The
+   *     credentials in the url are not included in the key (see `toCacheKey`)
+   * @return {Promise<Response>}
+   */
+  async fetch(request, { cacheKey = request.url } = {}) {
+    const settings = this.policy.settingsFor(request.url)
+    if (request.method !== 'GET' || !settings.ttl) {
+      return this.fetchFn(request)
+    }
+    const staleWhileRevalidate = this.allowStale
+      ? settings.staleWhileRevalidate
+      : 0
+    const staleIfError = this.allowStale ? settings.staleIfError : 0
+    const key = `httpcache:${toCacheKey(cacheKey)}`
+    const entry = await this.getEntry(key)
+
+    if (entry) {
+      // The number of seconds since the entry expired
+      const staleness = (Date.now() - entry.expires) / 1000
+      if (staleness <= 0) {
+        return toResponse(entry, request)
+      }
+      if (staleness <= staleWhileRevalidate) {
+        this.revalidate(request, key, settings)
+        this.reportStale(request, entry, 'REVALIDATING')
+        return toResponse(entry, request)
+      }
+    }
+
+    let response
+    try {
+      response = await this.fetchFn(request)
+    } catch (error) {
+      if (!canServeStale(entry, staleIfError)) throw error
+    }
+    if (response && !isUpstreamFailure(response)) {
+      return this.store(key, response, request, settings)
+    }
+    if (canServeStale(entry, staleIfError)) {
+      this.reportStale(request, entry, 'UPSTREAM_ERROR')
+      return toResponse(entry, request)
+    }
+    return response
+  }
+
+  /**
+   * @param {'REVALIDATING' | 'UPSTREAM_ERROR'} reason
+   * @private
+   */
+  reportStale(request, entry, reason) {
+    this.onStaleResponse({
+      path: new URL(request.url).pathname,
+      // The number of seconds since the response expired
+      staleness: Math.round((Date.now() - entry.expires) / 1000),
+      reason
+    })
+  }
+
+  /** @private */
+  async getEntry(key) {
+    const value = await this.keyValueCache.get(key)
+    return value ? JSON.parse(value) : undefined
+  }
+
+  /**
+   * Stores a successful response. The entry is kept for longer than the TTL
+   * when it can be served stale.
+   * @private
+   */
+  async store(key, response, request, settings) {
+    // Only successful responses are cached
+    if (!response.ok) return response
+    const { ttl, staleWhileRevalidate, staleIfError } = settings
+    const { status, headers } = response
+    const body = await response.text()
+    const entry = {
+      status,
+      headers: [...headers],
+      body,
+      expires: Date.now() + ttl * 1000
+    }
+    await this.keyValueCache.set(key, JSON.stringify(entry), {
+      ttl: ttl + Math.max(staleWhileRevalidate, staleIfError)
+    })
+    return toResponse(entry, request)
+  }
+
+  /**
+   * Refreshes a stale entry in the background.
+   * @private
+   */
+  revalidate(request, key, settings) {
+    if (revalidating.has(key)) return
+    revalidating.add(key)
+    Promise.resolve()
+      .then(() => this.fetchFn(request))
+      .then(response => {
+        if (!isUpstreamFailure(response)) {
+          return this.store(key, response, request, settings)
+        }
+      })
+      // If the request fails, the stale entry is kept.
+      .catch(() => {})
+      .then(() => revalidating.delete(key))
+  }
+}
+
+/**
+ * Removes the credentials from the cache key of a request, so they are not
+ * stored in the cache backend. The API key is the same for all requests, so
+ * it's removed. The session ID is replaced by its hash, so responses for
+ * different users are still cached separately.
+ */
+function toCacheKey(url) {
+  const { origin, pathname, searchParams } = new URL(url)
+  searchParams.delete('api_key')
+  const sessionId = searchParams.get('session_id')
+  if (sessionId) {
+    const hash = crypto
+      .createHash('sha256')
+      .update(sessionId)
+      .digest('hex')
+    searchParams.set('session_id', hash)
+  }
+  return `${origin}${pathname}?${searchParams}`
+}
+
+function toResponse({ status, headers, body }, request) {
+  return new Response(body, { url: request.url, status, headers })
+}
+
+// Errors that indicate the API is down or overloaded
+function isUpstreamFailure(response) {
+  return response.status >= 500 || response.status === 429
+}
+
+function canServeStale(entry, staleIfError) {
+  return !!entry && (Date.now() - entry.expires) / 1000 <= staleIfError
+}
+
+module.exports = HTTPCache
@@ -0,0 +1,46 @@
+/**
+ * Wraps a key value cache to count cache hits and misses.
+ *
+ * Implements the `KeyValueCache` interface from `apollo-server-caching`.
+ */
+class InstrumentedCache {
+  /**
+   * @param {Object} cache the cache backend
+   * @param {string} backend the name of the backend (ie `memory`)
+   */
+  constructor(cache, backend) {
+    this.cache = cache
+    this.backend = backend
+    this.hits = 0
+    this.misses = 0
+  }
+
+  async get(key) {
+    const value = await this.cache.get(key)
+    if (value === undefined) {
+      this.misses += 1
+    } else {
+      this.hits += 1
+    }
+    return value
+  }
+
+  set(key, value, options) {
+    return this.cache.set(key, value, options)
+  }
+
+  delete(key) {
+    return this.cache.delete(key)
+  }
+
+  /**
+   * Gets the number of cache hits and misses since the server started.
+   */
+  getStats() {
+    const { backend, hits, misses } = this
+    const total = hits + misses
+    return { backend, hits, misses, hitRate: total ? hits / total : 0 }
+  }
+}
+
+module.exports = InstrumentedCache
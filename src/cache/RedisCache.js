@@ -0,0 +1,42 @@
+/**
+ * A key value cache that stores entries in Redis. This allows the cache to be
+ * shared by all instances of the server.
+ *
+ * The adapter works with any client that implements the promise based
+ * `get`, `set` and `del` commands of `ioredis`, so a local stand-in can be
+ * used in place of a Redis server.
+ *
+ * Implements the `KeyValueCache` interface from `apollo-server-caching`.
+ */
+class RedisCache {
+  /**
+   * @param {Object} client a Redis client (ie `new Redis(url)`)
+   * @param {Object} [options]
+   * @param {string} [options.prefix] a prefix for all keys
+   */
+  constructor(client, { prefix = 'tmdb:' } = {}) {
+    this.client = client
+    this.prefix = prefix
+  }
+
+  async get(key) {
+    const value = await this.client.get(this.prefix + key)
+    // Redis returns `null` for missing keys
+    return value === null ? undefined : value
+  }
+
+  async set(key, value, options = {}) {
+    const { ttl } = options
+    if (ttl) {
+      await this.client.set(this.prefix + key, value, 'EX', ttl)
+    } else {
+      await this.client.set(this.prefix + key, value)
+    }
+  }
+
+  async delete(key) {
+    await this.client.del(this.prefix + key)
+  }
+}
+
+module.exports = RedisCache
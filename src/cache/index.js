@@ -0,0 +1,57 @@
+const os = require('os')
+const path = require('path')
+const { InMemoryLRUCache } = require('apollo-server-caching')
+const FileCache = require('./FileCache')
+const RedisCache = require('./RedisCache')
+const InstrumentedCache = require('./InstrumentedCache')
+const CachePolicy = require('./CachePolicy')
+const HTTPCache = require('./HTTPCache')
+const cachePolicy = require('../config/cachePolicy')
+
+/**
+ * Creates the cache that is shared by all data sources. The backend is set
+ * using the `CACHE_BACKEND` environment variable.
+ *
+ * - `memory` (default): an in-memory LRU cache. The max size (in bytes) is set
+ *   by `CACHE_MAX_SIZE`.
+ * - `file`: a cache on disk, in the `CACHE_DIR` directory. The max size (in
+ *   bytes) is set by `CACHE_MAX_SIZE`.
+ * - `redis`: a Redis server at `REDIS_URL`. Use this to share the cache
+ *   between multiple instances of the server.
+ *
+ * @param {Object} [env] the environment variables
+ * @return {InstrumentedCache}
+ */
+function createCache(env = process.env) {
+  const backend = env.CACHE_BACKEND || 'memory'
+  switch (backend) {
+    case 'memory': {
+      const maxSize = Number(env.CACHE_MAX_SIZE) || 50 * 1024 * 1024
+      return new InstrumentedCache(new InMemoryLRUCache({ maxSize }), backend)
+    }
+    case 'file': {
+      const directory =
+        env.CACHE_DIR || path.join(os.tmpdir(), 'graphql-movie-database')
+      const maxSize = Number(env.CACHE_MAX_SIZE) || 500 * 1024 * 1024
+      return new InstrumentedCache(
+        new FileCache({ directory, maxSize }),
+        backend
+      )
+    }
+    case 'redis': {
+      // Only required when the redis backend is used
+      const Redis = require('ioredis')
+      const client = new Redis(env.REDIS_URL)
+      return new InstrumentedCache(new RedisCache(client), backend)
+    }
+    default:
+      throw new Error(`Unknown cache backend: "${backend}"`)
+  }
+}
+
+module.exports = {
+  createCache,
+  CachePolicy,
+  HTTPCache,
+  policy: new CachePolicy(cachePolicy)
+}
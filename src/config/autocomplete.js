@@ -0,0 +1,9 @@
+// Settings for the `autocomplete` query
+module.exports = {
+  // The number of seconds that the suggestions for a prefix are cached.
+  // Suggestions are requested on every keystroke, so the same prefixes are
+  // requested often, but they should reflect recent search results.
+  ttl: Number(process.env.AUTOCOMPLETE_TTL) || 5 * 60,
+  // The max value of the `limit` argument
+  maxLimit: 50
+}
@@ -0,0 +1,48 @@
+// The TTL policy for responses from the TMDB API. Rules are matched against
+// the path of the request, including the API version (ie `/3/genre/movie/list`).
+// The first matching rule is used. A TTL of `0` means the response is never
+// cached.
+//
+// Catalogue endpoints opt in to serving expired (stale) responses:
+// - `staleWhileRevalidate`: for this many seconds after the response expires,
+//   the stale response is returned immediately and refreshed in the background.
+// - `staleIfError`: for this many seconds after the response expires, the
+//   stale response is returned when the API fails.
+const MINUTE = 60
+const HOUR = 60 * MINUTE
+const DAY = 24 * HOUR
+
+const CATALOGUE = { staleWhileRevalidate: HOUR, staleIfError: 7 * DAY }
+
+module.exports = {
+  // Search and discover results
+  defaultTTL: 10000,
+  rules: [
+    // Account data (account details, account states, the user's lists,
+    // watchlist, favorites and ratings) and authentication are never cached
+    { path: /^\/\d\/(account|auth|authentication)(\/|$)/, ttl: 0 },
+    { path: /^\/4\/list\//, ttl: 0 },
+    { path: /\/account_states$/, ttl: 0 },
+    // Configuration and reference lists rarely change
+    { path: /^\/3\/configuration(\/|$)/, ttl: 7 * DAY, ...CATALOGUE },
+    { path: /^\/3\/genre\/\w+\/list$/, ttl: 7 * DAY, ...CATALOGUE },
+    { path: /^\/3\/certification\/\w+\/list$/, ttl: 7 * DAY, ...CATALOGUE },
+    { path: /^\/3\/watch\/providers\//, ttl: DAY, ...CATALOGUE },
+    // Feeds
+    { path: /^\/3\/trending\//, ttl: HOUR, ...CATALOGUE },
+    {
+      path: /^\/3\/(movie|tv)\/(now_playing|upcoming|top_rated|airing_today|on_the_air)$/,
+      ttl: HOUR,
+      ...CATALOGUE
+    },
+    // Change lists
+    { path: /\/changes$/, ttl: 5 * MINUTE },
+    // Details of movies, shows, seasons, episodes, people, collections and
+    // companies (including sub-resources like `/movie/{id}/similar`)
+    {
+      path: /^\/3\/(movie|tv|person|collection|company)\/\d+(\/|$)/,
+      ttl: 10000,
+      ...CATALOGUE
+    }
+  ]
+}
@@ -0,0 +1,15 @@
+// Settings for the scheduler that sends all requests to the TMDB API. These
+// are shared by the V3 and V4 data sources.
+module.exports = {
+  // The rate limit (token bucket). Allows bursts of up to `capacity` requests,
+  // and `refillRate` requests per second after that.
+  capacity: Number(process.env.TMDB_RATE_LIMIT_BURST) || 40,
+  refillRate: Number(process.env.TMDB_RATE_LIMIT) || 20,
+  // Retries for idempotent (GET) requests that fail with a 429, a 5xx status
+  // or a network error. The delay between attempts grows exponentially from
+  // `baseDelay`, with random jitter. Requests are not retried when the delay
+  // (or `Retry-After`) would be longer than `maxDelay`.
+  maxRetries: 3,
+  baseDelay: 250,
+  maxDelay: 10000
+}
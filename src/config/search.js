@@ -0,0 +1,7 @@
+// Settings for queries that combine `search` with filters or sorting (see
+// `MovieDatabaseV3.searchWithFilters`)
+module.exports = {
+  // The max number of pages of search results that are fetched from the API
+  // for each query. Search results after these pages are not included.
+  pageBudget: Number(process.env.SEARCH_PAGE_BUDGET) || 5
+}
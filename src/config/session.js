@@ -0,0 +1,9 @@
+// Settings for user sessions (see `sessions/SessionStore.js`)
+module.exports = {
+  // The number of seconds until a session token expires. Expired tokens can
+  // be exchanged for a new token using the `refreshSession` mutation.
+  tokenTTL: Number(process.env.SESSION_TOKEN_TTL) || 60 * 60,
+  // The number of seconds that a session is kept after the last time it was
+  // created or refreshed. After that, the user has to log in again.
+  maxAge: Number(process.env.SESSION_MAX_AGE) || 30 * 24 * 60 * 60
+}
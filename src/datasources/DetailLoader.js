@@ -0,0 +1,98 @@
+const DataLoader = require('dataloader')
+const groupBy = require('lodash/groupBy')
+const union = require('lodash/union')
+const difference = require('lodash/difference')
+const createLimiter = require('../utils/createLimiter')
+
+/**
+ * A per-request loader for single-item detail requests (ie `GET /movie/{id}`).
+ * Detail requests are made by many different resolvers, often for the same
+ * item and with a different set of sub-resources (`append_to_response`).
+ *
+ * The loader:
+ * 1. Merges the loads for the same item that occur in the same tick into a
+ *    single request, which includes all of the requested sub-resources.
+ * 2. Reuses the details that have already been fetched for an item. If more
+ *    sub-resources are needed later on, only the missing ones are requested
+ *    and merged into the existing payload.
+ * 3. Limits the number of detail requests that run at the same time.
+ */
+class DetailLoader {
+  /**
+   * @param {(path: string, resources: string[]) => Promise<Object>} fetch
+   *     Fetches the details from the given path, including the sub-resources.
+   * @param {Object} [options]
+   * @param {number} [options.maxConcurrency] the max number of concurrent
+   *     detail requests.
+   */
+  constructor(fetch, { maxConcurrency = 6 } = {}) {
+    this.fetch = fetch
+    this.limit = createLimiter(maxConcurrency)
+    // Map of path -> { promise, resources } for the details that have been
+    // requested so far.
+    this.entries = new Map()
+    this.loader = new DataLoader(loads => this.loadBatch(loads), {
+      cache: false
+    })
+  }
+
+  /**
+   * Loads the details of a single item.
+   *
+   * @param {string} path the path of the details endpoint (ie `/movie/550`)
+   * @param {string[]} [resources] the sub-resources to include in the response
+   * @return {Promise<Object>}
+   */
+  load(path, resources = []) {
+    return this.loader.load({ path, resources })
+  }
+
+  /**
+   * The batch function for the DataLoader. The loads are grouped by path; the
+   * details for each path are only requested once.
+   * @private
+   */
+  async loadBatch(loads) {
+    const loadsByPath = groupBy(loads, 'path')
+    Object.entries(loadsByPath).forEach(([path, items]) => {
+      this.ensure(path, union(...items.map(item => item.resources)))
+    })
+    // DataLoader accepts an array of promises. Errors are scoped to the
+    // individual loads.
+    return loads.map(({ path }) => this.entries.get(path).promise)
+  }
+
+  /**
+   * Makes sure the details for the given path include the given
+   * sub-resources. If the details have already been requested, only the
+   * missing sub-resources are fetched and merged into the existing payload.
+   * @private
+   */
+  ensure(path, resources) {
+    const entry = this.entries.get(path)
+    if (entry) {
+      const missing = difference(resources, entry.resources)
+      if (!missing.length) return
+      const promise = Promise.all([
+        entry.promise,
+        this.limit(() => this.fetch(path, missing))
+      ]).then(([details, additional]) => ({ ...details, ...additional }))
+      this.set(path, promise, union(entry.resources, missing))
+    } else {
+      const promise = this.limit(() => this.fetch(path, resources))
+      this.set(path, promise, resources)
+    }
+  }
+
+  /** @private */
+  set(path, promise, resources) {
+    const entry = { promise, resources }
+    this.entries.set(path, entry)
+    // If the request fails, remove it so the item can be requested again.
+    promise.catch(() => {
+      if (this.entries.get(path) === entry) this.entries.delete(path)
+    })
+  }
+}
+
+module.exports = DetailLoader
@@ -1,13 +1,36 @@
 const { RESTDataSource } = require('apollo-datasource-rest')
 const { URL } = require('apollo-server-env')
+const { ApolloError } = require('apollo-server')
 const lowerCase = require('lodash/lowerCase')
+const omitBy = require('lodash/omitBy')
+const isNil = require('lodash/isNil')
 const { camelCaseKeys } = require('../utils/camelCase')
 const { snakeCaseKeys } = require('../utils/snakeCase')
+const { HTTPCache, policy } = require('../cache')
+const RequestScheduler = require('./RequestScheduler')
+const RequestCoalescer = require('./RequestCoalescer')
+const schedulerConfig = require('../config/scheduler')
+const debug = require('../utils/debug')
+const { createTMDBError, UpstreamUnavailableError } = require('../utils/errors')
+
+// The scheduler is shared by all data sources, so the rate limit applies to
+// all requests to the TMDB API.
+const scheduler = new RequestScheduler(schedulerConfig)
+
+// Concurrent identical GET requests from all data sources share one request
+const coalescer = new RequestCoalescer()
 
 /**
  * A dataSource for the Movie Database API.
  */
 class MovieDatabase extends RESTDataSource {
+  constructor() {
+    super()
+    // Whether expired responses can be served stale, for the endpoints that
+    // allow it in the cache policy.
+    this.allowStaleResponses = true
+  }
+
   /**
    * Resolves URL
    * @override
@@ -20,17 +43,67 @@ class MovieDatabase extends RESTDataSource {
   }
 
   /**
-   * Sets the default cache options for partial query caching.
-   * @override
+   * Adds the locale of the request (`language` and `region` from context) to
+   * all outgoing GET requests, unless the parameters were set explicitly.
+   * Since the locale is part of the URL, cached responses are separated by
+   * locale. Subclasses should call this when overriding the method.
    */
-  cacheOptionsFor(response, request) {
-    if (request.method === 'GET') {
-      return { ttl: 10000 }
-    } else {
-      return { ttl: 0 }
+  willSendRequest(request) {
+    const { language, region } = this.context
+    if (request.method !== 'GET') return
+    if (language && !request.params.has('language')) {
+      request.params.set('language', language)
+    }
+    if (region && !request.params.has('region')) {
+      request.params.set('region', region)
+    }
+    // When requesting images, include images in the requested language as
+    // well as the fallbacks (english and images without text).
+    const appended = request.params.get('append_to_response') || ''
+    if (language && /images/.test(`${request.path} ${appended}`)) {
+      const [code] = request.params.get('language').split('-')
+      request.params.set('include_image_language', `${code},en,null`)
     }
   }
 
+  /**
+   * Uses an HTTP cache that gets the TTL of each response from the cache
+   * policy (see `config/cachePolicy.js`), and sends requests through the
+   * shared request scheduler. Requests that don't include user credentials
+   * are coalesced with identical requests from other operations. Retry
+   * decisions and stale responses are added to the context, so they can be
+   * included in the extensions of the response.
+   * @override
+   */
+  initialize(config) {
+    super.initialize(config)
+    const { context } = config
+    // The shared cache, for data that is cached by the data sources
+    this.keyValueCache = config.cache
+    context.retryDecisions = context.retryDecisions || []
+    context.staleResponses = context.staleResponses || []
+    const send = request =>
+      scheduler.fetch(request, {
+        onRetryDecision: decision => context.retryDecisions.push(decision)
+      })
+    this.httpCache = new HTTPCache(config.cache, {
+      policy,
+      allowStale: this.allowStaleResponses,
+      onStaleResponse: details => context.staleResponses.push(details),
+      fetch: request =>
+        this.isAuthenticated() ? send(request) : coalescer.fetch(request, send)
+    })
+  }
+
+  /**
+   * Whether requests include the credentials of a user. Subclasses override
+   * this; authenticated requests are never shared between operations.
+   * @return {boolean}
+   */
+  isAuthenticated() {
+    return false
+  }
+
   /**
    * Parses the response body. JSON data is transformed so all property names
    * are camelcase.
@@ -45,8 +118,50 @@ class MovieDatabase extends RESTDataSource {
     }
   }
 
+  /**
+   * Creates the error for a failed response. The error code is based on the
+   * TMDB `status_code` and the HTTP status (see `utils/errors.js`), so clients
+   * can branch on it.
+   * @override
+   */
+  async errorFromResponse(response) {
+    const { status, statusText, headers } = response
+    const body = await this.parseBody(response)
+    const retryAfter = Number(headers.get('Retry-After')) || undefined
+    return createTMDBError({ status, statusText, body, retryAfter })
+  }
+
+  /**
+   * Errors that were not created from a response (ie network errors) mean the
+   * API could not be reached.
+   * @override
+   */
+  didEncounterError(error) {
+    if (error instanceof ApolloError) throw error
+    debug.error(error)
+    throw new UpstreamUnavailableError('The TMDB API is unavailable')
+  }
+
+  /**
+   * Some endpoints respond with `success: false` instead of an error status.
+   * This throws the error for the response in that case.
+   * @param {Object} response the parsed response body
+   * @return {Object} the response
+   */
+  assertSuccess(response) {
+    if (response && response.success === false) {
+      throw createTMDBError({
+        status: 502,
+        statusText: 'Unsuccessful Response',
+        body: response
+      })
+    }
+    return response
+  }
+
   get(path, params, init) {
-    const formattedParams = snakeCaseKeys(params)
+    // Parameters that are `null` or `undefined` are not included in the URL
+    const formattedParams = omitBy(snakeCaseKeys(params), isNil)
     return super.get(path, formattedParams, init)
   }
 
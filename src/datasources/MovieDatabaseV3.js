@@ -1,7 +1,21 @@
-const get = require('lodash/get')
-const debug = require('../utils/debug')
+const range = require('lodash/range')
+const flatMap = require('lodash/flatMap')
+const uniqBy = require('lodash/uniqBy')
+const uniq = require('lodash/uniq')
+const zipObject = require('lodash/zipObject')
+const { UserInputError } = require('apollo-server')
 const MovieDatabase = require('./MovieDatabase')
 const transforms = require('../utils/transforms')
+const DetailLoader = require('./DetailLoader')
+const {
+  filterToDiscoverParams,
+  createSearchMatcher,
+  createSearchSorter
+} = require('../utils/filters')
+const { PAGE_SIZE } = require('../utils/pagination')
+const { normalize, toWords, rankSuggestions } = require('../utils/autocomplete')
+const searchConfig = require('../config/search')
+const autocompleteConfig = require('../config/autocomplete')
 
 /**
  * A data source to connect to the TMDB rest API
@@ -12,11 +26,28 @@ class MovieDatabaseV3 extends MovieDatabase {
     this.baseURL = `https://api.themoviedb.org/3/`
   }
 
+  /**
+   * Creates the detail loader for the current request. Data sources are
+   * created per request, so details are only shared between the resolvers of a
+   * single operation.
+   * @override
+   */
+  initialize(config) {
+    super.initialize(config)
+    this.detailLoader = new DetailLoader((path, resources) =>
+      this.get(path, { appendToResponse: resources.join(',') || undefined })
+    )
+    // The filtered search results of the current request, by the params of
+    // `searchWithFilters` (without the page)
+    this.filteredSearches = new Map()
+  }
+
   /**
    * Add authentication params to V3 requests
    * @override
    */
   willSendRequest(request) {
+    super.willSendRequest(request)
     // api_key (application authentication )
     request.params.set('api_key', process.env.TMDB_API_KEY)
     // session_id (user authentication)
@@ -25,59 +56,299 @@ class MovieDatabaseV3 extends MovieDatabase {
     }
   }
 
+  /**
+   * V3 requests are authenticated when they include a user session ID
+   * @override
+   */
+  isAuthenticated() {
+    return !!this.context.sessionId
+  }
+
   /**
    * Get details about a single person by ID
+   *
+   * @param {string[]} [appendToResponse] the sub-resources to include in the
+   *     response (ie `combined_credits`). Resolvers only request the
+   *     sub-resources that are needed for the current query.
    * @see https://developers.themoviedb.org/3/people/get-person-details
    */
-  async getPerson({ id }) {
-    return this.get(`/person/${id}`, {
-      appendToResponse: 'combined_credits,images'
-    })
+  async getPerson({ id }, appendToResponse = []) {
+    return this.detailLoader.load(`/person/${id}`, appendToResponse)
   }
 
   /**
    * Get the details about a single Movie by ID
+   *
+   * @param {string[]} [appendToResponse] the sub-resources to include in the
+   *     response (ie `credits`, `images`, `videos`)
    * @see https://developers.themoviedb.org/3/movies/get-movie-details
    */
-  async getMovie({ id }) {
-    // Includes credits, video, images, reviews
-    const response = await this.get(`/movie/${id}`, {
-      appendToResponse: 'credits,images,videos,reviews'
-    })
+  async getMovie({ id }, appendToResponse = []) {
+    const response = await this.detailLoader.load(
+      `/movie/${id}`,
+      appendToResponse
+    )
     return { ...response, mediaType: 'MOVIE' }
   }
 
   /**
    * Get details about a single TV show by ID
+   *
+   * @param {string[]} [appendToResponse] the sub-resources to include in the
+   *     response (ie `credits`, `content_ratings`)
    * @see https://developers.themoviedb.org/3/tv/get-tv-details
    */
-  async getShow({ id }) {
-    const response = await this.get(`/tv/${id}`, {
-      appendToResponse: 'credits,images,videos,reviews,seasons'
-    })
+  async getShow({ id }, appendToResponse = []) {
+    const response = await this.detailLoader.load(`/tv/${id}`, appendToResponse)
     return { ...response, mediaType: 'TV' }
   }
 
   /**
-   * Get the details about a single season of a TV show
-   * Includes the cast, crew, videos, review
+   * Get the details about a single season of a TV show. Includes the list of
+   * episodes.
+   *
+   * @param {string[]} [appendToResponse] the sub-resources to include in the
+   *     response (ie `credits`, `images`)
    * @see https://developers.themoviedb.org/3/tv-seasons/get-tv-season-details
    */
-  async getSeason({ showId, seasonNumber }) {
-    return this.get(`/tv/${showId}/season/${seasonNumber}`, {
-      appendToResponse: 'credits,images,videos,reviews'
-    })
+  async getSeason({ showId, seasonNumber }, appendToResponse = []) {
+    const path = `/tv/${showId}/season/${seasonNumber}`
+    return this.detailLoader.load(path, appendToResponse)
   }
 
   /**
-   * Get a single episode of a TV show
+   * Get a single episode of a TV show. Includes the guest stars.
+   *
+   * @param {string[]} [appendToResponse] the sub-resources to include in the
+   *     response (ie `credits`, `images`)
    * @see https://developers.themoviedb.org/3/tv-episodes/get-tv-episode-details
    */
-  async getEpisode({ showId, seasonNumber, episodeNumber }) {
+  async getEpisode(
+    { showId, seasonNumber, episodeNumber },
+    appendToResponse = []
+  ) {
     const path = `/tv/${showId}/season/${seasonNumber}/episode/${episodeNumber}`
-    return this.get(path, {
-      appendToResponse: 'credits,guest_stars,images,videos,reviews'
-    })
+    return this.detailLoader.load(path, appendToResponse)
+  }
+
+  /**
+   * Get the details of a movie or TV show by media type.
+   *
+   * @param {'MOVIE' | 'TV'} mediaType (case insensitive)
+   * @param {string[]} [appendToResponse] the sub-resources to include
+   */
+  async getMedia({ mediaType, id }, appendToResponse = []) {
+    return /^tv$/i.test(mediaType)
+      ? this.getShow({ id }, appendToResponse)
+      : this.getMovie({ id }, appendToResponse)
+  }
+
+  /**
+   * Get a list of similar movies or TV shows. This is not the same as the
+   * recommendations; similar items are matched by keywords and genres.
+   *
+   * @param {'MOVIE' | 'TV'} mediaType
+   * @see https://developers.themoviedb.org/3/movies/get-similar-movies
+   * @see https://developers.themoviedb.org/3/tv/get-similar-tv-shows
+   */
+  async getSimilar({ mediaType, id, page = 1 }) {
+    return this.get(`/${mediaType}/${id}/similar`, { page })
+  }
+
+  /**
+   * Get a list of recommended movies or TV shows for a given item.
+   *
+   * @param {'MOVIE' | 'TV'} mediaType
+   * @see https://developers.themoviedb.org/3/movies/get-movie-recommendations
+   * @see https://developers.themoviedb.org/3/tv/get-tv-recommendations
+   */
+  async getRecommendations({ mediaType, id, page = 1 }) {
+    return this.get(`/${mediaType}/${id}/recommendations`, { page })
+  }
+
+  /**
+   * Get the user reviews for a movie or TV show.
+   *
+   * @param {'MOVIE' | 'TV'} mediaType
+   * @see https://developers.themoviedb.org/3/movies/get-movie-reviews
+   * @see https://developers.themoviedb.org/3/tv/get-tv-reviews
+   */
+  async getReviews({ mediaType, id, page = 1 }) {
+    return this.get(`/${mediaType}/${id}/reviews`, { page })
+  }
+
+  /**
+   * Gets the watch providers (streaming, rental and purchase availability) of
+   * a Movie, TV show or season of a TV show in a specific country. Returns
+   * null if the item is not available in the given country. Watch provider
+   * data is provided by JustWatch.
+   *
+   * @param {'MOVIE' | 'TV'} mediaType
+   * @param {string} id the movie or show ID
+   * @param {number} [seasonNumber] only for seasons of a TV show
+   * @param {string} region an ISO 3166-1 country code
+   * @see https://developers.themoviedb.org/3/movies/get-movie-watch-providers
+   * @see https://developers.themoviedb.org/3/tv/get-tv-watch-providers
+   */
+  async getWatchProviders({ mediaType, id, seasonNumber, region }) {
+    const season = seasonNumber != null ? `/season/${seasonNumber}` : ''
+    const path = `/${mediaType}/${id}${season}/watch/providers`
+    const { results } = await this.get(path)
+    region = region.toUpperCase()
+    return results[region] ? { region, ...results[region] } : null
+  }
+
+  /**
+   * Gets the list of watch providers for the given media type, sorted by
+   * display priority.
+   *
+   * @param {'MOVIE' | 'TV'} mediaType
+   * @param {string} [region] only include providers available in this country
+   * @see https://developers.themoviedb.org/3/watch-providers/get-movie-providers
+   */
+  async getWatchProviderList({ mediaType, region }) {
+    const params = region ? { watchRegion: region } : null
+    const { results } = await this.get(`/watch/providers/${mediaType}`, params)
+    return results.sort((a, b) => a.displayPriority - b.displayPriority)
+  }
+
+  /**
+   * Get the official list of certifications for movies or TV shows, grouped
+   * by country.
+   *
+   * @param {'MOVIE' | 'TV'} mediaType
+   * @param {string} [country] only include certifications for this country
+   * @see https://developers.themoviedb.org/3/certifications/get-movie-certifications
+   */
+  async getCertifications({ mediaType, country }) {
+    const path = `/certification/${mediaType}/list`
+    const { certifications } = await this.get(path)
+    return Object.entries(certifications)
+      .filter(([iso]) => !country || iso === country.toUpperCase())
+      .map(([iso, items]) => ({
+        iso_3166_1: iso,
+        certifications: items.sort((a, b) => a.order - b.order)
+      }))
+  }
+
+  /**
+   * Get the trending movies, TV shows and/or people.
+   *
+   * @param {'ALL' | 'MOVIE' | 'TV' | 'PERSON'} mediaType
+   * @param {'DAY' | 'WEEK'} window the time window
+   * @see https://developers.themoviedb.org/3/trending/get-trending
+   */
+  async getTrending({ mediaType = 'ALL', window = 'DAY', page = 1 }) {
+    return this.get(`/trending/${mediaType}/${window}`, { page })
+  }
+
+  /**
+   * Get the movies that are currently in theatres.
+   * @see https://developers.themoviedb.org/3/movies/get-now-playing
+   */
+  async getNowPlaying({ page = 1, ...params }) {
+    return this.get('/movie/now_playing', { page, ...params })
+  }
+
+  /**
+   * Get the movies that will be released in theatres soon.
+   * @see https://developers.themoviedb.org/3/movies/get-upcoming
+   */
+  async getUpcoming({ page = 1, ...params }) {
+    return this.get('/movie/upcoming', { page, ...params })
+  }
+
+  /**
+   * Get the top rated movies or TV shows.
+   *
+   * @param {'MOVIE' | 'TV'} mediaType
+   * @see https://developers.themoviedb.org/3/movies/get-top-rated-movies
+   * @see https://developers.themoviedb.org/3/tv/get-top-rated-tv
+   */
+  async getTopRated({ mediaType, page = 1, ...params }) {
+    return this.get(`/${mediaType}/top_rated`, { page, ...params })
+  }
+
+  /**
+   * Get the TV shows that have an episode airing today.
+   * @see https://developers.themoviedb.org/3/tv/get-tv-airing-today
+   */
+  async getAiringToday({ page = 1 }) {
+    return this.get('/tv/airing_today', { page })
+  }
+
+  /**
+   * Get the TV shows that have an episode airing within the next 7 days.
+   * @see https://developers.themoviedb.org/3/tv/get-tv-on-the-air
+   */
+  async getOnTheAir({ page = 1 }) {
+    return this.get('/tv/on_the_air', { page })
+  }
+
+  /**
+   * Get the IDs of the movies, TV shows or people that have been changed in
+   * the given time period (24 hours by default, up to 14 days).
+   *
+   * @param {'MOVIE' | 'TV' | 'PERSON'} mediaType
+   * @param {Object} params
+   * @param {string} [params.startDate] Format: YYYY-MM-DD
+   * @param {string} [params.endDate] Format: YYYY-MM-DD
+   * @see https://developers.themoviedb.org/3/changes/get-movie-change-list
+   */
+  async getChanges({ mediaType, page = 1, ...params }) {
+    return this.get(`/${mediaType}/changes`, { page, ...params })
+  }
+
+  /**
+   * Get the changes to a single movie, TV show or person in the given time
+   * period (24 hours by default, up to 14 days). The changes are grouped by
+   * key.
+   *
+   * @param {'MOVIE' | 'TV' | 'PERSON'} mediaType
+   * @param {string} id
+   * @param {Object} params
+   * @param {string} [params.startDate] Format: YYYY-MM-DD
+   * @param {string} [params.endDate] Format: YYYY-MM-DD
+   * @see https://developers.themoviedb.org/3/movies/get-movie-changes
+   */
+  async getItemChanges({ mediaType, id, ...params }) {
+    const path = `/${mediaType}/${id}/changes`
+    const { changes } = await this.get(path, params)
+    return changes
+  }
+
+  /**
+   * Get the details about a collection of movies by ID
+   * @see https://developers.themoviedb.org/3/collections/get-collection-details
+   */
+  async getCollection({ id }) {
+    return this.get(`/collection/${id}`, { appendToResponse: 'images' })
+  }
+
+  /**
+   * Get the details about a production company by ID
+   * @see https://developers.themoviedb.org/3/companies/get-company-details
+   */
+  async getCompany({ id }) {
+    return this.get(`/company/${id}`)
+  }
+
+  /**
+   * Get the alternative names of a production company
+   * @see https://developers.themoviedb.org/3/companies/get-company-alternative-names
+   */
+  async getCompanyAlternativeNames({ id }) {
+    const { results } = await this.get(`/company/${id}/alternative_names`)
+    return results
+  }
+
+  /**
+   * Get the logos of a production company
+   * @see https://developers.themoviedb.org/3/companies/get-company-images
+   */
+  async getCompanyLogos({ id }) {
+    const { logos } = await this.get(`/company/${id}/images`)
+    return logos
   }
 
   /**
@@ -112,9 +383,7 @@ class MovieDatabaseV3 extends MovieDatabase {
    * @see https://developers.themoviedb.org/3/movies/get-movie-account-states
    */
   async getAccountStates({ mediaType, id }) {
-    // Don't cache response
-    const init = { cacheOptions: { ttl: 1 } }
-    return this.get(`/${mediaType}/${id}/account_states`, null, init)
+    return this.get(`/${mediaType}/${id}/account_states`)
   }
 
   /**
@@ -124,17 +393,166 @@ class MovieDatabaseV3 extends MovieDatabase {
    * @param {'MOVIE' | 'TV'} mediaType
    * @param {Object} [params] - query parameters for the `discover` endpoints
    * @param {number} [params.page] Must be an Int <= 1000
+   * @param {Object} [params.filter] a `MovieFilter` or `ShowFilter` input.
+   *     It takes precedence over the equivalent (deprecated) params.
    * @see https://developers.themoviedb.org/3/discover/movie-discover
    */
-  async discover({ mediaType, page = 1, ...params }) {
+  async discover({ mediaType, page = 1, withKeywordNames, ...params }) {
+    params = await this.getDiscoverParams(mediaType, params)
+    if (withKeywordNames) {
+      // Keyword names are converted to IDs and combined with `withKeywords`.
+      // If none of the names match a keyword, there are no results.
+      const ids = await this.getKeywordIdsByName(withKeywordNames)
+      if (!ids.length) {
+        return { page, totalPages: 0, totalResults: 0, results: [] }
+      }
+      params.withKeywords = [params.withKeywords, ...ids]
+        .filter(Boolean)
+        .join('|')
+    }
     params = this.transformSortByInput(params, mediaType)
     return this.get(`/discover/${mediaType}`, { page, ...params })
   }
 
+  /**
+   * Converts the `filter` input of a discover query to discover params, and
+   * merges them with the other params.
+   *
+   * @param {'MOVIE' | 'TV'} mediaType
+   * @param {Object} params
+   */
+  async getDiscoverParams(mediaType, { filter, ...params }) {
+    if (!filter) return params
+    // Genre names are matched against the official genres
+    const genreList = filter.genreNames && (await this.getGenreList(mediaType))
+    return {
+      ...params,
+      ...filterToDiscoverParams(filter, { mediaType, genreList })
+    }
+  }
+
+  /**
+   * Searches for movies or TV shows, and applies the filters and sorting of
+   * the discover API to the results. The search API does not support these,
+   * so pages of search results are fetched (up to `pageBudget` pages) and
+   * the results are filtered and sorted on the server. The response includes
+   * `searchInfo`, which tells if all of the search results were scanned.
+   * The results are computed once per request, and each page is a slice of
+   * them.
+   *
+   * @param {Object} params the same params as `discover`
+   * @param {'MOVIE' | 'TV'} params.mediaType
+   * @param {string} params.query the query string to search for
+   * @param {number} [params.page]
+   * @param {number} [params.pageBudget] the max number of pages of search
+   *     results to fetch
+   */
+  async searchWithFilters({ page = 1, ...params }) {
+    const key = JSON.stringify(params)
+    if (!this.filteredSearches.has(key)) {
+      this.filteredSearches.set(key, this.scanSearchResults(params))
+    }
+    const { results, searchInfo } = await this.filteredSearches.get(key)
+    return {
+      page,
+      totalPages: Math.ceil(results.length / PAGE_SIZE),
+      totalResults: results.length,
+      results: results.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE),
+      searchInfo
+    }
+  }
+
+  /**
+   * Fetches the pages of search results for `searchWithFilters`, and returns
+   * all of the results that match the filters, in order.
+   * @private
+   */
+  async scanSearchResults({
+    mediaType,
+    query,
+    pageBudget = searchConfig.pageBudget,
+    ...params
+  }) {
+    const { sortBy, language, region, ...filters } = this.transformSortByInput(
+      await this.getDiscoverParams(mediaType, params),
+      mediaType
+    )
+    // Invalid filters and sorting are rejected before making any requests
+    const matches = createSearchMatcher(filters, mediaType)
+    const sort = sortBy ? createSearchSorter(sortBy) : results => results
+    const searchParams = { type: mediaType, query, language, region }
+    const firstPage = await this.search({ ...searchParams, page: 1 })
+    const lastPage = Math.min(firstPage.totalPages, pageBudget)
+    const otherPages = await Promise.all(
+      range(2, lastPage + 1).map(page => this.search({ ...searchParams, page }))
+    )
+    // Items can appear on more than one page if the ranking changes between
+    // requests
+    const results = sort(
+      uniqBy(flatMap([firstPage, ...otherPages], 'results'), 'id').filter(
+        matches
+      )
+    )
+    return {
+      results,
+      searchInfo: {
+        exhaustive: firstPage.totalPages <= pageBudget,
+        scannedPages: lastPage,
+        totalSearchResults: firstPage.totalResults
+      }
+    }
+  }
+
+  /**
+   * Takes a list of keyword names and returns the IDs of the matching
+   * keywords. Names are matched case-insensitively against the results of
+   * the keyword search API; names without an exact match are ignored.
+   *
+   * @param {string[]} names
+   * @see https://developers.themoviedb.org/3/search/search-keywords
+   */
+  async getKeywordIdsByName(names) {
+    const ids = await Promise.all(
+      names.map(async name => {
+        const { results } = await this.search({ type: 'KEYWORD', query: name })
+        const match = results.find(keyword => {
+          return keyword.name.toLowerCase() === name.trim().toLowerCase()
+        })
+        return match ? match.id : null
+      })
+    )
+    return ids.filter(id => id !== null)
+  }
+
+  /**
+   * Find movies, TV shows, seasons, episodes and people by an external ID.
+   * The results are combined into a single list; each result has a
+   * `mediaType` property that is used to resolve its type.
+   *
+   * @param {string} externalId
+   * @param {'IMDB' | 'TVDB' | 'TVRAGE' | 'FACEBOOK' | 'INSTAGRAM' | 'TWITTER' | 'WIKIDATA'} source
+   * @see https://developers.themoviedb.org/3/find/find-by-id
+   */
+  async find({ externalId, source }) {
+    const params = { externalSource: `${source}_id`.toLowerCase() }
+    const response = await this.get(`/find/${externalId}`, params)
+    const resultTypes = {
+      movieResults: 'MOVIE',
+      tvResults: 'TV',
+      tvSeasonResults: 'TV_SEASON',
+      tvEpisodeResults: 'TV_EPISODE',
+      personResults: 'PERSON'
+    }
+    return Object.entries(resultTypes).reduce((results, [key, mediaType]) => {
+      const items = (response[key] || []).map(item => ({ ...item, mediaType }))
+      return [...results, ...items]
+    }, [])
+  }
+
   /**
    * Search for items matching the provided query.
    *
-   * @param {'MOVIE' | 'SHOW' | 'PERSON' | 'COMPANY' | 'ALL'} type
+   * @param {'MOVIE' | 'SHOW' | 'PERSON' | 'COMPANY' | 'KEYWORD' | 'COLLECTION' | 'MULTI'} type
    * @param {Object} params
    * @param {String} params.query the query string to search for
    * @param {number} [params.page] the pagination offset. Must be Int <= 1000
@@ -153,12 +571,48 @@ class MovieDatabaseV3 extends MovieDatabase {
     return { results, ...rest }
   }
 
+  /**
+   * Gets suggestions for a search box. Each type is searched in parallel, and
+   * the results are merged and ranked (see `utils/autocomplete.js`). The
+   * ranked suggestions are cached for a short time by the normalized prefix,
+   * so prefixes that only differ by case or spacing share the same entry.
+   *
+   * @param {Object} params
+   * @param {string} params.prefix the text that was typed so far
+   * @param {string[]} params.types the `AutocompleteType`s to search
+   * @param {number} params.limit the max number of suggestions
+   */
+  async autocomplete({ prefix, types, limit }) {
+    const { maxLimit, ttl } = autocompleteConfig
+    if (limit < 1 || limit > maxLimit) {
+      throw new UserInputError(`"limit" must be between 1 and ${maxLimit}`)
+    }
+    const query = toWords(normalize(prefix).normalized).join(' ')
+    const searchTypes = uniq(types).sort()
+    if (!query || !searchTypes.length) return []
+    // Suggestions depend on the locale (ie translated titles)
+    const { language = '', region = '' } = this.context
+    const key = `autocomplete:${language}:${region}:${searchTypes}:${query}`
+    const cached = await this.keyValueCache.get(key)
+    if (cached) {
+      return JSON.parse(cached).slice(0, limit)
+    }
+    const responses = await Promise.all(
+      searchTypes.map(type => this.search({ type, query }))
+    )
+    const suggestions = rankSuggestions(
+      query,
+      zipObject(searchTypes, responses.map(({ results }) => results))
+    ).slice(0, maxLimit)
+    await this.keyValueCache.set(key, JSON.stringify(suggestions), { ttl })
+    return suggestions.slice(0, limit)
+  }
+
   /**
    * Gets account details for the logged in user.
    */
   async getAccount() {
-    const init = { cacheOptions: { ttl: 0 } }
-    return this.get('/account', null, init)
+    return this.get('/account')
   }
 
   /**
@@ -170,15 +624,10 @@ class MovieDatabaseV3 extends MovieDatabase {
    * @see https://developers.themoviedb.org/3/account/mark-as-favorite
    */
   async addToWatchlistOrFavorites(listType, { accountId, input }) {
-    try {
-      const path = `/account/${accountId}/${listType}`
-      const body = this.transformListItemInput(input)
-      const { statusMessage } = await this.post(path, body)
-      return { success: true, message: statusMessage }
-    } catch (error) {
-      debug.error(error)
-      return { message: error.message }
-    }
+    const path = `/account/${accountId}/${listType}`
+    const body = this.transformListItemInput(input)
+    const { statusMessage } = await this.post(path, body)
+    return { success: true, message: statusMessage }
   }
 
   /**
@@ -227,42 +676,29 @@ class MovieDatabaseV3 extends MovieDatabase {
    * @see https://developers.themoviedb.org/3/movies/delete-movie-rating
    */
   async updateRating({ mediaType, id, value }) {
-    try {
-      const path = `/${mediaType}/${id}/rating`
-      // If value is `null`, delete the rating from this item
-      const method = value === null ? 'delete' : 'post'
-      const body = method === 'post' ? { value } : null
-      const { statusMessage } = await this[method](path, body)
-      return { success: true, message: statusMessage }
-    } catch (error) {
-      debug.error(error)
-      const message = get(error, 'extensions.response.body.statusMessage')
-      return { message: message || error.message }
-    }
+    const path = `/${mediaType}/${id}/rating`
+    // If value is `null`, delete the rating from this item
+    const method = value === null ? 'delete' : 'post'
+    const body = method === 'post' ? { value } : null
+    const { statusMessage } = await this[method](path, body)
+    return { success: true, message: statusMessage }
   }
 
   /**
    * Converts a user access token (V4 authentication) to a session ID.
    */
   async convertTokenToSessionID({ accessToken }) {
-    try {
-      const path = `/authentication/session/convert/4`
-      const response = await this.post(path, { accessToken })
-      return response
-    } catch (error) {
-      debug.error(error)
-      return { success: false, error }
-    }
+    const path = `/authentication/session/convert/4`
+    return this.assertSuccess(await this.post(path, { accessToken }))
   }
 
+  /**
+   * Deletes the session ID of the logged in user.
+   */
   async deleteSessionID() {
-    try {
-      const path = '/authentication/session'
-      const body = { session_id: this.context.sessionId }
-      return this.delete(path, null, { body })
-    } catch (error) {
-      return { success: false, error }
-    }
+    const path = '/authentication/session'
+    const body = { session_id: this.context.sessionId }
+    return this.assertSuccess(await this.delete(path, null, { body }))
   }
 }
 module.exports = MovieDatabaseV3
@@ -1,4 +1,3 @@
-const debug = require('../utils/debug')
 const toUpper = require('lodash/toUpper')
 const MovieDatabase = require('./MovieDatabase')
 
@@ -9,12 +8,16 @@ class MovieDatabaseV4 extends MovieDatabase {
   constructor() {
     super()
     this.baseURL = `https://api.themoviedb.org/4`
+    // V4 is only used for account data and mutations, which must never be
+    // served stale.
+    this.allowStaleResponses = false
   }
   /**
    * Adds authentication to V4 requests
    * @override
    */
   willSendRequest(request) {
+    super.willSendRequest(request)
     // V4 requires a single authentication token which can either be a
     // user access token (from context) or a application token
     const { accessToken } = this.context
@@ -22,6 +25,14 @@ class MovieDatabaseV4 extends MovieDatabase {
     request.headers.set('authorization', `Bearer ${token}`)
   }
 
+  /**
+   * V4 requests are authenticated when they use a user access token
+   * @override
+   */
+  isAuthenticated() {
+    return !!this.context.accessToken
+  }
+
   /**
    * Retrieves a custom user-created List by ID.
    * Private lists can only be accessed by their owners and therefore require a
@@ -30,8 +41,7 @@ class MovieDatabaseV4 extends MovieDatabase {
    */
   async getList({ id, ...params }) {
     params = this.transformSortByInput(params)
-    const init = { cacheOptions: { ttl: 0 } }
-    const response = await this.get(`/list/${id}`, params, init)
+    const response = await this.get(`/list/${id}`, params)
     // Format the sortBy field to match schema style:
     // REST API: `sortBy: release_date.desc"`
     // GraphQL schema: `{ sortBy: "RELEASE_DATE, sortOrder: "DESC" }`
@@ -47,15 +57,8 @@ class MovieDatabaseV4 extends MovieDatabase {
    * @see https://developers.themoviedb.org/4/list/create-list
    */
   async createList({ input }) {
-    try {
-      const response = await this.post('/list', input)
-      if (response.success) {
-        return { ...response, message: 'List was created successfully.' }
-      }
-    } catch (error) {
-      debug.error(error)
-      return { success: false, message: error.message }
-    }
+    const response = this.assertSuccess(await this.post('/list', input))
+    return { ...response, message: 'List was created successfully.' }
   }
 
   /**
@@ -69,16 +72,9 @@ class MovieDatabaseV4 extends MovieDatabase {
    * @see https://developers.themoviedb.org/4/list/update-list
    */
   async updateList({ id, input }) {
-    try {
-      const body = this.transformSortByInput(input)
-      const response = await this.put(`/list/${id}`, body)
-      if (response.success) {
-        return { ...response, message: 'List was updated successfully.' }
-      }
-    } catch (error) {
-      debug.error(error)
-      return { success: false, message: error.message }
-    }
+    const body = this.transformSortByInput(input)
+    const response = this.assertSuccess(await this.put(`/list/${id}`, body))
+    return { ...response, message: 'List was updated successfully.' }
   }
 
   /**
@@ -86,15 +82,8 @@ class MovieDatabaseV4 extends MovieDatabase {
    * Can only be performed by list owner. Requires user access token.
    */
   async deleteList({ id }) {
-    try {
-      const response = await this.delete(`/list/${id}`)
-      if (response.success) {
-        return { ...response, message: 'List was deleted successfully.' }
-      }
-    } catch (error) {
-      debug.error(error)
-      return { success: false, message: error.message }
-    }
+    const response = this.assertSuccess(await this.delete(`/list/${id}`))
+    return { ...response, message: 'List was deleted successfully.' }
   }
 
   /**
@@ -103,16 +92,8 @@ class MovieDatabaseV4 extends MovieDatabase {
    * @see https://developers.themoviedb.org/4/list/clear-list
    */
   async clearListItems({ id }) {
-    try {
-      const init = { cacheOptions: { ttl: 0 } }
-      const response = await this.get(`/list/${id}/clear`, null, init)
-      if (response.success) {
-        return { ...response, message: 'List items were cleared successfully.' }
-      }
-    } catch (error) {
-      debug.error(error)
-      return { success: false, message: error.message }
-    }
+    const response = this.assertSuccess(await this.get(`/list/${id}/clear`))
+    return { ...response, message: 'List items were cleared successfully.' }
   }
 
   /**
@@ -130,16 +111,9 @@ class MovieDatabaseV4 extends MovieDatabase {
    * @param {Array<{mediaType, mediaId}>} items
    */
   async addListItems({ id, items }) {
-    try {
-      const body = { items: items.map(this.transformListItemInput) }
-      const response = await this.post(`/list/${id}/items`, body)
-      if (response.success) {
-        return { ...response, message: 'List items added.' }
-      }
-    } catch (error) {
-      debug.error(error)
-      return { success: false, message: error.message }
-    }
+    const body = { items: items.map(this.transformListItemInput) }
+    const response = await this.post(`/list/${id}/items`, body)
+    return { ...this.assertSuccess(response), message: 'List items added.' }
   }
 
   /**
@@ -148,16 +122,9 @@ class MovieDatabaseV4 extends MovieDatabase {
    * @see https://developers.themoviedb.org/4/list/remove-items
    */
   async removeListItems({ id, items }) {
-    try {
-      const body = { items: items.map(this.transformListItemInput) }
-      const response = await this.delete(`/list/${id}/items`, null, { body })
-      if (response.success) {
-        return { ...response, message: 'List items removed.' }
-      }
-    } catch (error) {
-      debug.error(error)
-      return { success: false, message: error.message }
-    }
+    const body = { items: items.map(this.transformListItemInput) }
+    const response = await this.delete(`/list/${id}/items`, null, { body })
+    return { ...this.assertSuccess(response), message: 'List items removed.' }
   }
 
   /**
@@ -165,28 +132,19 @@ class MovieDatabaseV4 extends MovieDatabase {
    * Can only be performed by list owner. Requires user access token.
    */
   async checkListItemStatus({ listId, mediaType, id }) {
-    try {
-      const params = { mediaType, mediaId: id }
-      const response = await this.get(`/list/${listId}/item_status`, params)
-      if (response.success) return response
-    } catch (error) {
-      debug.error(error)
-      return { success: false, message: error.message }
-    }
+    const params = { mediaType, mediaId: id }
+    const response = await this.get(`/list/${listId}/item_status`, params)
+    return this.assertSuccess(response)
   }
 
   /**
    * Get all lists created by the given user.
    * This requires a valid user access token.
+   * @param {Object} params
+   * @param {number} [params.page]
    */
-  async myLists({ accountId }) {
-    try {
-      const init = { cacheOptions: { ttl: 0 } }
-      return this.get(`/account/${accountId}/lists`, null, init)
-    } catch (error) {
-      debug.error(error)
-      return { success: false, message: error.message }
-    }
+  async myLists({ accountId, ...params }) {
+    return this.get(`/account/${accountId}/lists`, params)
   }
 
   /**
@@ -195,8 +153,7 @@ class MovieDatabaseV4 extends MovieDatabase {
   async myWatchlist({ accountId, mediaType, ...params }) {
     params = this.transformSortByInput(params)
     const path = `/account/${accountId}/${mediaType}/watchlist`
-    const init = { cacheOptions: { ttl: 0 } }
-    return this.get(path, params, init)
+    return this.get(path, params)
   }
 
   /**
@@ -205,8 +162,7 @@ class MovieDatabaseV4 extends MovieDatabase {
   async myFavorites({ accountId, mediaType, ...params }) {
     params = this.transformSortByInput(params)
     const path = `/account/${accountId}/${mediaType}/favorites`
-    const init = { cacheOptions: { ttl: 0 } }
-    return this.get(path, params, init)
+    return this.get(path, params)
   }
 
   /**
@@ -216,8 +172,7 @@ class MovieDatabaseV4 extends MovieDatabase {
   async myRatings({ mediaType, accountId, ...params }) {
     params = this.transformSortByInput(params)
     const path = `/account/${accountId}/${mediaType}/rated`
-    const init = { cacheOptions: { ttl: 0 } }
-    return this.get(path, params, init)
+    return this.get(path, params)
   }
 
   /**
@@ -227,8 +182,7 @@ class MovieDatabaseV4 extends MovieDatabase {
   async myRecommendations({ mediaType, accountId, ...params }) {
     params = this.transformSortByInput(params)
     const path = `/account/${accountId}/${mediaType}/recommendations`
-    const init = { cacheOptions: { ttl: 0 } }
-    return this.get(path, params, init)
+    return this.get(path, params)
   }
 
   /**
@@ -242,14 +196,9 @@ class MovieDatabaseV4 extends MovieDatabase {
    * @see https://developers.themoviedb.org/4/auth/create-request-token
    */
   async createRequestToken({ redirectTo }) {
-    try {
-      const path = '/auth/request_token'
-      const body = redirectTo ? { redirectTo } : null
-      const response = await this.post(path, body)
-      return response
-    } catch (error) {
-      return { success: false, error }
-    }
+    const path = '/auth/request_token'
+    const body = redirectTo ? { redirectTo } : null
+    return this.assertSuccess(await this.post(path, body))
   }
 
   /**
@@ -261,12 +210,8 @@ class MovieDatabaseV4 extends MovieDatabase {
    * @see https://developers.themoviedb.org/4/auth/create-access-token
    */
   async createAccessToken({ requestToken }) {
-    try {
-      const response = await this.post('/auth/access_token', { requestToken })
-      return response
-    } catch (error) {
-      return { success: false, error }
-    }
+    const response = await this.post('/auth/access_token', { requestToken })
+    return this.assertSuccess(response)
   }
 
   /**
@@ -278,14 +223,9 @@ class MovieDatabaseV4 extends MovieDatabase {
    * this issue on TMDB: https://trello.com/c/Q1ceDQ8e
    */
   async deleteAccessToken() {
-    try {
-      const path = '/auth/access_token'
-      const body = { access_token: this.context.accessToken }
-      const response = await this.delete(path, null, { body })
-      return response
-    } catch (error) {
-      return { success: false, error }
-    }
+    const path = '/auth/access_token'
+    const body = { access_token: this.context.accessToken }
+    return this.assertSuccess(await this.delete(path, null, { body }))
   }
 }
 module.exports = MovieDatabaseV4
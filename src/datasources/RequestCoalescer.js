@@ -0,0 +1,48 @@
+const { Response } = require('apollo-server-env')
+
+/**
+ * Coalesces concurrent identical GET requests. Data sources are created for
+ * each GraphQL request, so `RESTDataSource` only dedupes requests within a
+ * single operation. A single coalescer is shared by all data sources, so when
+ * many operations request the same URL at the same time (ie a trending
+ * movie), only one request is sent to the API.
+ *
+ * Requests are keyed on the final URL, which includes the locale parameters.
+ * Requests that include the credentials of a user must not be coalesced.
+ */
+class RequestCoalescer {
+  constructor() {
+    // Map of url -> Promise of the response data
+    this.inFlight = new Map()
+  }
+
+  /**
+   * Sends a request, or waits for an identical request that is already in
+   * flight.
+   *
+   * @param {Request} request
+   * @param {(request: Request) => Promise<Response>} send sends the request
+   * @return {Promise<Response>}
+   */
+  async fetch(request, send) {
+    if (request.method !== 'GET') return send(request)
+    const key = request.url
+    let promise = this.inFlight.get(key)
+    if (!promise) {
+      // The response body can only be read once, so the response is buffered
+      // and a new `Response` is created for each caller.
+      promise = send(request).then(async response => {
+        const { status, statusText, headers } = response
+        const body = await response.text()
+        return { status, statusText, headers: [...headers], body }
+      })
+      this.inFlight.set(key, promise)
+      const remove = () => this.inFlight.delete(key)
+      promise.then(remove, remove)
+    }
+    const { body, ...init } = await promise
+    return new Response(body, { url: request.url, ...init })
+  }
+}
+
+module.exports = RequestCoalescer
@@ -0,0 +1,111 @@
+const { fetch, URL } = require('apollo-server-env')
+const TokenBucket = require('../utils/TokenBucket')
+
+// Requests that can safely be sent again. Mutations are never retried.
+const IDEMPOTENT_METHODS = ['GET', 'HEAD']
+
+// Statuses that indicate a transient error
+const RETRY_STATUSES = [429, 500, 502, 503, 504]
+
+/**
+ * Sends requests to the TMDB API. A single scheduler is shared by all data
+ * sources, so the rate limit applies to all requests made by the server.
+ *
+ * - Requests are rate limited by a token bucket.
+ * - When the API responds with `429 Too Many Requests`, all requests are
+ *   paused for the time given by the `Retry-After` header.
+ * - Idempotent requests that fail with a transient error are retried, with a
+ *   jittered exponential backoff.
+ */
+class RequestScheduler {
+  /**
+   * @param {Object} options see `config/scheduler.js`
+   */
+  constructor({ capacity, refillRate, maxRetries, baseDelay, maxDelay }) {
+    this.bucket = new TokenBucket({ capacity, refillRate })
+    this.maxRetries = maxRetries
+    this.baseDelay = baseDelay
+    this.maxDelay = maxDelay
+  }
+
+  /**
+   * Sends a request.
+   *
+   * @param {Request} request
+   * @param {Object} [options]
+   * @param {(decision: Object) => void} [options.onRetryDecision] called with
+   *     the details of each failed attempt, and whether it will be retried.
+   * @return {Promise<Response>}
+   */
+  async fetch(request, { onRetryDecision = () => {} } = {}) {
+    const { method } = request
+    const { pathname } = new URL(request.url)
+    for (let attempt = 1; ; attempt++) {
+      await this.bucket.take()
+      let response, error
+      try {
+        response = await fetch(request)
+      } catch (fetchError) {
+        error = fetchError
+      }
+      const status = response ? response.status : null
+      if (response && !RETRY_STATUSES.includes(status)) return response
+
+      const retryAfter = response && parseRetryAfter(response.headers)
+      if (status === 429) {
+        this.bucket.pause(retryAfter || this.backoff(attempt))
+      }
+      const delay = retryAfter || this.backoff(attempt)
+      const retry =
+        IDEMPOTENT_METHODS.includes(method) &&
+        attempt <= this.maxRetries &&
+        delay <= this.maxDelay
+      onRetryDecision({
+        method,
+        path: pathname,
+        attempt,
+        status,
+        error: error ? error.message : null,
+        retry,
+        delay: retry ? delay : null
+      })
+      if (!retry) {
+        if (error) throw error
+        return response
+      }
+      // The body of the failed response is not used. Read it, so the
+      // connection can be reused.
+      if (response) await response.text().catch(() => {})
+      await sleep(delay)
+    }
+  }
+
+  /**
+   * Gets the delay before the next attempt (exponential backoff with full
+   * jitter).
+   * @private
+   */
+  backoff(attempt) {
+    const max = Math.min(this.maxDelay, this.baseDelay * 2 ** (attempt - 1))
+    return Math.round(Math.random() * max)
+  }
+}
+
+/**
+ * Parses the `Retry-After` header, which is either a number of seconds or an
+ * HTTP date.
+ * @return {number} the delay in milliseconds, or `null`
+ */
+function parseRetryAfter(headers) {
+  const value = headers.get('Retry-After')
+  if (!value) return null
+  if (/^\d+$/.test(value)) return Number(value) * 1000
+  const date = Date.parse(value)
+  return isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+function sleep(duration) {
+  return new Promise(resolve => setTimeout(resolve, duration))
+}
+
+module.exports = RequestScheduler
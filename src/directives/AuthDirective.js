@@ -0,0 +1,94 @@
+const get = require('lodash/get')
+const { SchemaDirectiveVisitor, AuthenticationError } = require('apollo-server')
+const { defaultFieldResolver, getNamedType } = require('graphql')
+const { createError, toMutationErrorResponse } = require('../utils/errors')
+
+/**
+ * Implements the `@auth` directive, which marks fields (or all fields of a
+ * type) that require a logged in user. The requirement is checked before the
+ * field is resolved, so no requests are sent to the TMDB API for
+ * unauthenticated requests.
+ *
+ * - `USER`: the request must have a valid session.
+ * - `LIST_OWNER`: the logged in user must be the owner of the list given by
+ *   the `id` argument of the field.
+ *
+ * Mutations that return a `MutationResponse` include the error in the
+ * `errors` of the response, other fields fail with the error.
+ *
+ * @example
+ * type Mutation {
+ *   deleteList(id: ID!): ListMutationResponse! @auth(requires: LIST_OWNER)
+ * }
+ */
+class AuthDirective extends SchemaDirectiveVisitor {
+  visitObject(type) {
+    type._authRequirement = this.args.requires
+    Object.values(type.getFields()).forEach(field => {
+      wrapField(field, type)
+    })
+  }
+
+  visitFieldDefinition(field, details) {
+    field._authRequirement = this.args.requires
+    wrapField(field, details.objectType)
+  }
+}
+
+/**
+ * Wraps the resolver of a field that has an `@auth` directive (or is on a
+ * type that has one). The requirement is looked up when the field is
+ * resolved, so the directive on the field takes precedence over the type.
+ * Mutation resolvers already handle their own errors, so an auth error is
+ * only converted to the mutation response; the resolver is not called.
+ * @private
+ */
+function wrapField(field, objectType) {
+  if (field._authWrapped) return
+  field._authWrapped = true
+  const { resolve = defaultFieldResolver } = field
+  field.resolve = async (...args) => {
+    const requires = field._authRequirement || objectType._authRequirement
+    try {
+      await checkRequirement(requires, ...args)
+    } catch (error) {
+      if (!isMutationResponse(field.type)) throw error
+      return toMutationErrorResponse(error)
+    }
+    return resolve(...args)
+  }
+}
+
+/**
+ * Throws an error if the request does not meet the requirement.
+ * @private
+ */
+async function checkRequirement(requires, parent, args, context, info) {
+  const { session, authError, dataSources } = context
+  if (!session) {
+    // The session token of the request is invalid or expired
+    if (authError) throw authError
+    const fieldName = `${info.parentType.name}.${info.fieldName}`
+    throw new AuthenticationError(
+      `You must be logged in to access ${fieldName}`
+    )
+  }
+  if (requires === 'LIST_OWNER') {
+    const list = await dataSources.movieDatabaseV4.getList({ id: args.id })
+    if (String(get(list, 'createdBy.id')) !== String(session.accountId)) {
+      throw createError(
+        'FORBIDDEN',
+        'This action can only be performed by the owner of the list.',
+        { field: 'id' }
+      )
+    }
+  }
+}
+
+function isMutationResponse(type) {
+  const namedType = getNamedType(type)
+  const interfaces = namedType.getInterfaces ? namedType.getInterfaces() : []
+  return interfaces.some(({ name }) => name === 'MutationResponse')
+}
+
+module.exports = AuthDirective
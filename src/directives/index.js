@@ -0,0 +1,6 @@
+const AuthDirective = require('./AuthDirective')
+
+// Schema directives (see `schema/index.graphql`)
+module.exports = {
+  auth: AuthDirective
+}
@@ -0,0 +1,25 @@
+/**
+ * Creates an Apollo Server plugin that adds the hit/miss counters of the
+ * shared cache to the `extensions` of each response. The stats are for the
+ * whole process, so the plugin is only used when `CACHE_STATS` is enabled.
+ *
+ * @example
+ * // response.extensions
+ * { "cacheStats": { "backend": "memory", "hits": 12, "misses": 4, "hitRate": 0.75 } }
+ *
+ * @param {InstrumentedCache} cache
+ */
+module.exports = function createCacheStatsPlugin(cache) {
+  return {
+    requestDidStart() {
+      return {
+        willSendResponse({ response }) {
+          response.extensions = {
+            ...response.extensions,
+            cacheStats: cache.getStats()
+          }
+        }
+      }
+    }
+  }
+}
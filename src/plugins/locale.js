@@ -0,0 +1,31 @@
+const { valueFromASTUntyped } = require('graphql')
+const { createLocale } = require('../utils/locale')
+
+/**
+ * An Apollo Server plugin that applies the `@locale` directive. The directive
+ * can be added to a query operation to set the language and region of the
+ * request. It takes precedence over the `Accept-Language` header.
+ *
+ * @example
+ * query getMovie @locale(language: "de-DE") {
+ *   movie(id: 550) { title }
+ * }
+ */
+module.exports = {
+  requestDidStart() {
+    return {
+      didResolveOperation({ operation, request, context }) {
+        const directives = (operation && operation.directives) || []
+        const directive = directives.find(({ name }) => name.value === 'locale')
+        if (!directive) return
+        const args = directive.arguments.reduce((result, arg) => {
+          const value = valueFromASTUntyped(arg.value, request.variables)
+          return { ...result, [arg.name.value]: value }
+        }, {})
+        // The context object is shared with the data sources, so the new
+        // locale is applied to all requests made during execution.
+        Object.assign(context, createLocale(args.language, args.region))
+      }
+    }
+  }
+}
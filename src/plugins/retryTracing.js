@@ -0,0 +1,22 @@
+/**
+ * An Apollo Server plugin that adds the retry decisions of the request
+ * scheduler to the tracing extension of the response. Each entry describes a
+ * failed request to the TMDB API, and whether it was retried.
+ *
+ * @example
+ * // response.extensions.tracing.retries
+ * [{ "method": "GET", "path": "/3/movie/550", "attempt": 1, "status": 503,
+ *    "error": null, "retry": true, "delay": 180 }]
+ */
+module.exports = {
+  requestDidStart() {
+    return {
+      willSendResponse({ response, context }) {
+        const { retryDecisions } = context
+        const tracing = response.extensions && response.extensions.tracing
+        if (!tracing || !retryDecisions || !retryDecisions.length) return
+        tracing.retries = retryDecisions
+      }
+    }
+  }
+}
@@ -0,0 +1,21 @@
+/**
+ * An Apollo Server plugin that flags stale data in the `extensions` of the
+ * response. When an expired response from the TMDB API is served from the
+ * cache, the response includes the path, how long ago it expired (in
+ * seconds), and the reason it was served stale.
+ *
+ * @example
+ * // response.extensions.stale
+ * [{ "path": "/3/movie/550", "staleness": 120, "reason": "UPSTREAM_ERROR" }]
+ */
+module.exports = {
+  requestDidStart() {
+    return {
+      willSendResponse({ response, context }) {
+        const { staleResponses } = context
+        if (!staleResponses || !staleResponses.length) return
+        response.extensions = { ...response.extensions, stale: staleResponses }
+      }
+    }
+  }
+}
@@ -1,11 +1,21 @@
 const camelCase = require('lodash/camelCase')
+const snakeCase = require('lodash/snakeCase')
 const upperCase = require('lodash/upperCase')
-const get = require('lodash/get')
 const isNumber = require('lodash/isNumber')
 const isString = require('lodash/isString')
-const jwt = require('jsonwebtoken')
+const sortBy = require('lodash/sortBy')
+const { getNamedType } = require('graphql')
 const transforms = require('./utils/transforms')
 const constantCase = require('./utils/constantCase')
+const { sortImagesByLanguage } = require('./utils/locale')
+const { getSubResources } = require('./utils/subResources')
+const {
+  withCursorPagination,
+  createConnectionResolvers
+} = require('./utils/pagination')
+const { withMutationErrors } = require('./utils/errors')
+const { getAccountId } = require('./sessions')
+const scalars = require('./scalars')
 
 /**
  * Creates the resolvers for fields on the `Movie`, `Show`, `Season` and
@@ -19,8 +29,13 @@ const constantCase = require('./utils/constantCase')
  * - videos
  * - posters
  * - backdrops
+ * - externalIds
  * - reviews
  * - genres
+ * - keywords
+ * - similar
+ * - recommendations
+ * - watchProviders
  *
  * @param {"Movie" | "Show" | "Season" | "Episode"} typename
  * @return {*} resolver map
@@ -31,7 +46,7 @@ function createMediaObjectResolvers(typename) {
    * single-item details request (ie `GET /movie/{id}`). Depending on the type
    * of query, the data for this field may or may not already be included in the
    * response object. If its not, this will make the appropriate API call to get
-   * the item.
+   * the item, including the sub-resource that contains the field.
    * @param {string} field
    * @param {any} parent
    * @param {Object} dataSources
@@ -39,7 +54,9 @@ function createMediaObjectResolvers(typename) {
   async function _getDetailField(field, parent, dataSources) {
     const { movieDatabaseV3 } = dataSources
     if (parent[field]) return parent[field]
-    const data = await movieDatabaseV3[`get${typename}`](parent)
+    const data = await movieDatabaseV3[`get${typename}`](parent, [
+      snakeCase(field)
+    ])
     return data[field]
   }
 
@@ -63,20 +80,33 @@ function createMediaObjectResolvers(typename) {
         return constantCase(item.type) === args.type
       })
     },
-    posters: async (parent, _, { dataSources }) => {
+    // Images in the language of the request are listed first
+    posters: async (parent, _, { dataSources, language }) => {
       const images = await _getDetailField('images', parent, dataSources)
-      return images.posters || []
+      return sortImagesByLanguage(images.posters || [], language)
     },
-    backdrops: async (parent, _, { dataSources }) => {
+    backdrops: async (parent, _, { dataSources, language }) => {
       const images = await _getDetailField('images', parent, dataSources)
-      return images.backdrops || []
+      return sortImagesByLanguage(images.backdrops || [], language)
+    },
+    externalIds: async (parent, _, { dataSources }) => {
+      return _getDetailField('externalIds', parent, dataSources)
     }
   }
   // The following resolvers only apply to `Show` and `Movie` objects
   if (/Show|Movie/.test(typename)) {
-    mediaObjectResolvers.reviews = async (parent, _, { dataSources }) => {
-      return await _getDetailField('reviews', parent, dataSources)
-    }
+    // The first page of reviews is included in the details response
+    mediaObjectResolvers.reviews = withCursorPagination(
+      async (parent, args, { dataSources }) => {
+        const { movieDatabaseV3 } = dataSources
+        const { page = 1 } = args
+        if (page === 1) {
+          return await _getDetailField('reviews', parent, dataSources)
+        }
+        const mediaType = transforms.toMediaType(typename)
+        return movieDatabaseV3.getReviews({ mediaType, id: parent.id, page })
+      }
+    )
     // Convert the `genres_ids` property to `genres`. This makes the genres
     // field available on all Movie and Show objects, even when returned from
     // search/list queries. NOTE: This only requires a single API request to
@@ -92,188 +122,446 @@ function createMediaObjectResolvers(typename) {
       })
     }
 
-    mediaObjectResolvers.accountStates = async ({ id }, _, { dataSources }) => {
-      const { movieDatabaseV3 } = dataSources
+    // The keywords sub-resource has a different format for movies
+    // (`{ keywords }`) and TV shows (`{ results }`).
+    mediaObjectResolvers.keywords = async (parent, _, { dataSources }) => {
+      const keywords = await _getDetailField('keywords', parent, dataSources)
+      return keywords.keywords || keywords.results || []
+    }
+
+    // The first page of `similar` and `recommendations` is included in the
+    // details response, when the field only selects the first page (see
+    // `getSubResources`). Other pages (or items returned from search/list
+    // queries) are fetched from the individual endpoints.
+    mediaObjectResolvers.similar = withCursorPagination(
+      async (parent, args, { dataSources }) => {
+        const { movieDatabaseV3 } = dataSources
+        const { id, similar } = parent
+        const { page = 1 } = args
+        if (page === 1 && similar) return similar
+        const mediaType = transforms.toMediaType(typename)
+        return movieDatabaseV3.getSimilar({ mediaType, id, page })
+      }
+    )
+
+    mediaObjectResolvers.recommendations = withCursorPagination(
+      async (parent, args, { dataSources }) => {
+        const { movieDatabaseV3 } = dataSources
+        const { id, recommendations } = parent
+        const { page = 1 } = args
+        if (page === 1 && recommendations) return recommendations
+        const mediaType = transforms.toMediaType(typename)
+        return movieDatabaseV3.getRecommendations({ mediaType, id, page })
+      }
+    )
+
+    mediaObjectResolvers.changes = createChangesResolver(
+      transforms.toMediaType(typename)
+    )
+
+    mediaObjectResolvers.accountStates = async ({ id }, _, context) => {
+      const { movieDatabaseV3 } = context.dataSources
+      // Account states are only available when the user is logged in
+      if (!context.session) return null
       const mediaType = transforms.toMediaType(typename)
       return movieDatabaseV3.getAccountStates({ mediaType, id })
     }
   }
+  // Watch providers are available for movies, shows and seasons of a show
+  if (/Show|Movie|Season/.test(typename)) {
+    mediaObjectResolvers.watchProviders = async (parent, args, context) => {
+      const { movieDatabaseV3 } = context.dataSources
+      const { showId, seasonNumber, id } = parent
+      // Seasons are identified by the show ID and season number
+      const params =
+        typename === 'Season'
+          ? { mediaType: 'TV', id: showId, seasonNumber }
+          : { mediaType: transforms.toMediaType(typename), id }
+      return movieDatabaseV3.getWatchProviders({ ...params, ...args })
+    }
+  }
   return mediaObjectResolvers
 }
 
+/**
+ * Creates the resolver for the `changes` field on `Movie`, `Show` and `Person`
+ * objects. The changes from the API are grouped by key; they are converted to
+ * a single list of change records.
+ *
+ * @param {"MOVIE" | "TV" | "PERSON"} mediaType
+ * @return {Function} the resolver
+ */
+function createChangesResolver(mediaType) {
+  return async ({ id }, { since, until, keys }, { dataSources }) => {
+    const { movieDatabaseV3 } = dataSources
+    const changes = await movieDatabaseV3.getItemChanges({
+      mediaType,
+      id,
+      // The `Date` scalar has already validated the arguments
+      startDate: since,
+      endDate: until
+    })
+    return changes
+      .filter(({ key }) => !keys || keys.includes(constantCase(key)))
+      .reduce((records, { key, items }) => {
+        return [...records, ...items.map(item => ({ ...item, key }))]
+      }, [])
+  }
+}
+
+/**
+ * Creates a helper function for fetching the detail fields of a `Company` or
+ * `Collection`. When these objects are included in another response (ie
+ * `productionCompanies` on a Movie) or returned from search, they only include
+ * the basic fields. If the field is not in the parent object, the helper gets
+ * the details by ID.
+ * @param {"Company" | "Collection"} typename
+ */
+function createDetailFieldGetter(typename) {
+  /**
+   * @param {string} field
+   * @param {any} parent
+   * @param {Object} dataSources
+   */
+  return async function _getDetailField(field, parent, dataSources) {
+    const { movieDatabaseV3 } = dataSources
+    if (parent[field] !== undefined) return parent[field]
+    const data = await movieDatabaseV3[`get${typename}`](parent)
+    return data[field]
+  }
+}
+
+const _getCompanyField = createDetailFieldGetter('Company')
+const _getCollectionField = createDetailFieldGetter('Collection')
+
+/**
+ * Gets the concrete `Connection` type for a list of items of the given
+ * media type.
+ * @param {"MOVIE" | "TV" | "PERSON" | "ALL"} mediaType
+ */
+function toConnectionTypename(mediaType) {
+  const typenames = {
+    MOVIE: 'MoviesConnection',
+    TV: 'ShowsConnection',
+    PERSON: 'PeopleConnection'
+  }
+  return typenames[mediaType] || 'TrendingConnection'
+}
+
+/**
+ * Creates the resolver for a discover query (`allMovies` or `allShows`).
+ * - Without `search`, it uses the discover API.
+ * - With `search` only, it uses the search API.
+ * - With `search` and filters or sorting, the filters and sorting are applied
+ *   to the search results on the server (see `searchWithFilters`)
+ * @param {"MOVIE" | "TV"} mediaType
+ */
+function createDiscoverResolver(mediaType) {
+  return (_, args = {}, { dataSources }) => {
+    const { movieDatabaseV3 } = dataSources
+    const { search, page, sortBy, sortOrder, language, ...filters } = args
+    const hasFilters = Object.values(filters).some(value => value != null)
+    if (search && (sortBy || hasFilters)) {
+      return movieDatabaseV3.searchWithFilters({
+        mediaType,
+        query: search,
+        page,
+        sortBy,
+        sortOrder,
+        language,
+        ...filters
+      })
+    } else if (search) {
+      return movieDatabaseV3.search({
+        type: mediaType,
+        query: search,
+        page,
+        language
+      })
+    } else {
+      return movieDatabaseV3.discover({
+        mediaType,
+        page,
+        sortBy: sortBy || 'POPULARITY',
+        sortOrder,
+        language,
+        ...filters
+      })
+    }
+  }
+}
+
 // Resolver for auth mutation response types
 const AuthMutationResponse = {
   success: ({ success }) => !!success,
-  message: ({ success, error }) => {
-    if (success) return 'Success.'
-    const message = get(error, 'extensions.response.body.statusMessage')
-    return message || 'Internal server error'
-  }
+  message: ({ success, message }) => (success ? 'Success.' : message)
 }
 
 const resolvers = {
+  // Custom scalars (Date, DateTime, URL, etc)
+  ...scalars,
   Query: {
     // --------------------------------------------------
     // Single Item Queries
     // --------------------------------------------------
-    person: (_, args, { dataSources }) => {
+    // The details requests only include the sub-resources (ie credits,
+    // images) that are needed to resolve the fields in the query.
+    person: (_, args, { dataSources }, info) => {
       const { movieDatabaseV3 } = dataSources
-      return movieDatabaseV3.getPerson(args)
+      return movieDatabaseV3.getPerson(args, getSubResources(info))
     },
-    movie: (_, args, { dataSources }) => {
+    movie: (_, args, { dataSources }, info) => {
       const { movieDatabaseV3 } = dataSources
-      return movieDatabaseV3.getMovie(args)
+      return movieDatabaseV3.getMovie(args, getSubResources(info))
     },
-    show: (_, args, { dataSources }) => {
+    show: (_, args, { dataSources }, info) => {
       const { movieDatabaseV3 } = dataSources
-      return movieDatabaseV3.getShow(args)
+      return movieDatabaseV3.getShow(args, getSubResources(info))
     },
-    season: async (_, args, { dataSources }) => {
+    season: async (_, args, { dataSources }, info) => {
       const { movieDatabaseV3 } = dataSources
-      return { showId: args.showId, ...(await movieDatabaseV3.getSeason(args)) }
+      const season = await movieDatabaseV3.getSeason(
+        args,
+        getSubResources(info)
+      )
+      return { showId: args.showId, ...season }
     },
-    episode: async (_, args, { dataSources }) => {
+    episode: async (_, args, { dataSources }, info) => {
       const { movieDatabaseV3 } = dataSources
-      return { ...args, ...(await movieDatabaseV3.getEpisode(args)) }
+      const episode = await movieDatabaseV3.getEpisode(
+        args,
+        getSubResources(info)
+      )
+      return { ...args, ...episode }
     },
     list: async (_parent, { id, ...args }, { dataSources }) => {
       const { movieDatabaseV4 } = dataSources
       return movieDatabaseV4.getList({ id, ...args })
     },
+    collection: (_, args, { dataSources }) => {
+      const { movieDatabaseV3 } = dataSources
+      return movieDatabaseV3.getCollection(args)
+    },
+    company: (_, args, { dataSources }) => {
+      const { movieDatabaseV3 } = dataSources
+      return movieDatabaseV3.getCompany(args)
+    },
     configuration: (_, args, { dataSources }) => {
       const { movieDatabaseV3 } = dataSources
       return movieDatabaseV3.getConfiguration()
     },
-    account: async (_, args) => args,
+    // The account of the logged in user. The `accountId` argument is
+    // optional, and must match the session if it is given.
+    account: (_, args, context) => ({ accountId: getAccountId(args, context) }),
+    viewer: (_, args, context) => ({ accountId: getAccountId(args, context) }),
     // --------------------------------------------------
     //  Plural Queries
     // --------------------------------------------------
-    allMovies: (_, args = {}, { dataSources }) => {
-      const { movieDatabaseV3 } = dataSources
-      const { search, page, ...discoverArgs } = args
-      if (search) {
-        // If a `search` argument was provided, use the search/movie
-        return movieDatabaseV3.search({ type: 'MOVIE', query: search, page })
-      } else {
-        // Otherwise, use the discover API
-        return movieDatabaseV3.discover({
-          mediaType: 'MOVIE',
-          page,
-          ...discoverArgs
-        })
-      }
+    allMovies: withCursorPagination(createDiscoverResolver('MOVIE')),
+    allShows: withCursorPagination(createDiscoverResolver('TV')),
+    certifications: (_, args, { dataSources }) => {
+      const { movieDatabaseV3 } = dataSources
+      return movieDatabaseV3.getCertifications(args)
     },
-    allShows: (_, args = {}, { dataSources }) => {
-      const { movieDatabaseV3 } = dataSources
-      const { search, page, ...discoverArgs } = args
-      if (search) {
-        // If a `search` argument was provided, use the search/tv API
-        return movieDatabaseV3.search({ query: search, type: 'SHOW', page })
-      } else {
-        // Otherwise, use the discover API
-        return movieDatabaseV3.discover({
-          mediaType: 'TV',
-          page,
-          ...discoverArgs
-        })
-      }
+    watchProviders: (_, args, { dataSources }) => {
+      const { movieDatabaseV3 } = dataSources
+      return movieDatabaseV3.getWatchProviderList(args)
+    },
+    // --------------------------------------------------
+    //  Feeds
+    // --------------------------------------------------
+    trending: withCursorPagination(async (_, args, { dataSources }) => {
+      const { movieDatabaseV3 } = dataSources
+      const response = await movieDatabaseV3.getTrending(args)
+      return { ...response, __typename: toConnectionTypename(args.mediaType) }
+    }),
+    nowPlaying: withCursorPagination((_, args, { dataSources }) => {
+      const { movieDatabaseV3 } = dataSources
+      return movieDatabaseV3.getNowPlaying(args)
+    }),
+    upcoming: withCursorPagination((_, args, { dataSources }) => {
+      const { movieDatabaseV3 } = dataSources
+      return movieDatabaseV3.getUpcoming(args)
+    }),
+    topRated: withCursorPagination(async (_, args, { dataSources }) => {
+      const { movieDatabaseV3 } = dataSources
+      const response = await movieDatabaseV3.getTopRated(args)
+      return { ...response, __typename: toConnectionTypename(args.mediaType) }
+    }),
+    airingToday: withCursorPagination((_, args, { dataSources }) => {
+      const { movieDatabaseV3 } = dataSources
+      return movieDatabaseV3.getAiringToday(args)
+    }),
+    onTheAir: withCursorPagination((_, args, { dataSources }) => {
+      const { movieDatabaseV3 } = dataSources
+      return movieDatabaseV3.getOnTheAir(args)
+    }),
+    changes: withCursorPagination(
+      (_, args, { dataSources }) => {
+        const { movieDatabaseV3 } = dataSources
+        return movieDatabaseV3.getChanges(args)
+      },
+      { pageSize: 100 }
+    ),
+    find: (_, args, { dataSources }) => {
+      const { movieDatabaseV3 } = dataSources
+      return movieDatabaseV3.find(args)
     },
     search: async (_, args, { dataSources }) => {
       const { movieDatabaseV3 } = dataSources
       return movieDatabaseV3.search(args)
     },
-    allPeople: async (_, { search, page = 1 }, { dataSources }) => {
+    autocomplete: (_, args, { dataSources }) => {
       const { movieDatabaseV3 } = dataSources
-      return movieDatabaseV3.search({ query: search, type: 'PERSON', page })
-    }
+      return movieDatabaseV3.autocomplete(args)
+    },
+    allPeople: withCursorPagination(
+      async (_, { search, page = 1 }, { dataSources }) => {
+        const { movieDatabaseV3 } = dataSources
+        return movieDatabaseV3.search({ query: search, type: 'PERSON', page })
+      }
+    )
   },
   // --------------------------------------------------
   //  Mutations
   // --------------------------------------------------
+  // Errors are returned in the `errors` of the mutation response (see
+  // `withMutationErrors`). The second argument maps error codes to the input
+  // field that caused the error.
   Mutation: {
-    createList: (_, args, { dataSources }) => {
-      const { movieDatabaseV4 } = dataSources
-      return movieDatabaseV4.createList(args)
-    },
-    updateList: async (_, { id, ...args }, { dataSources }) => {
-      const { movieDatabaseV4 } = dataSources
-      const response = await movieDatabaseV4.updateList({ id, ...args })
-      // Return the list `id` with the API response, this allows the
-      // `ListMutationResponse` resolver to fetch the updated list if requested
-      return { id, ...response }
-    },
-    deleteList: (_, { id }, { dataSources }) => {
-      const { movieDatabaseV4 } = dataSources
-      return movieDatabaseV4.deleteList({ id })
-    },
-    addListItems: async (_, { id, items }, { dataSources }) => {
-      const { movieDatabaseV4 } = dataSources
-      const data = await movieDatabaseV4.addListItems({ id, items })
-      // Return the list `id` with the API response, this allows the
-      // `ListItemsMutationResponse` resolver to fetch the updated list if
-      // requested
-      return { id, ...data }
-    },
-    removeListItems: async (_, { id, items }, { dataSources }) => {
-      const { movieDatabaseV4 } = dataSources
-      const data = await movieDatabaseV4.removeListItems({ id, items })
-
-      return { id, ...data }
-    },
-    clearListItems: (_, { id }, { dataSources }) => {
-      const { movieDatabaseV4 } = dataSources
-      return movieDatabaseV4.clearListItems({ id })
-    },
+    createList: withMutationErrors(
+      (_, args, { dataSources }) => {
+        const { movieDatabaseV4 } = dataSources
+        return movieDatabaseV4.createList(args)
+      },
+      { BAD_USER_INPUT: 'input' }
+    ),
+    updateList: withMutationErrors(
+      async (_, { id, ...args }, { dataSources }) => {
+        const { movieDatabaseV4 } = dataSources
+        const response = await movieDatabaseV4.updateList({ id, ...args })
+        // Return the list `id` with the API response, this allows the
+        // `ListMutationResponse` resolver to fetch the updated list if
+        // requested
+        return { id, ...response }
+      },
+      { NOT_FOUND: 'id', BAD_USER_INPUT: 'input' }
+    ),
+    deleteList: withMutationErrors(
+      (_, { id }, { dataSources }) => {
+        const { movieDatabaseV4 } = dataSources
+        return movieDatabaseV4.deleteList({ id })
+      },
+      { NOT_FOUND: 'id' }
+    ),
+    addListItems: withMutationErrors(
+      async (_, { id, items }, { dataSources }) => {
+        const { movieDatabaseV4 } = dataSources
+        const data = await movieDatabaseV4.addListItems({ id, items })
+        // Return the list `id` with the API response, this allows the
+        // `ListItemsMutationResponse` resolver to fetch the updated list if
+        // requested
+        return { id, ...data }
+      },
+      { NOT_FOUND: 'id', BAD_USER_INPUT: 'items' }
+    ),
+    removeListItems: withMutationErrors(
+      async (_, { id, items }, { dataSources }) => {
+        const { movieDatabaseV4 } = dataSources
+        const data = await movieDatabaseV4.removeListItems({ id, items })
+        return { id, ...data }
+      },
+      { NOT_FOUND: 'id', BAD_USER_INPUT: 'items' }
+    ),
+    clearListItems: withMutationErrors(
+      (_, { id }, { dataSources }) => {
+        const { movieDatabaseV4 } = dataSources
+        return movieDatabaseV4.clearListItems({ id })
+      },
+      { NOT_FOUND: 'id' }
+    ),
     // TODO: DRY
-    addToWatchlist: async (_, args, { dataSources }) => {
-      const { movieDatabaseV3 } = dataSources
-      const response = await movieDatabaseV3.addToWatchlist(args)
-      // the `args` are passed down with the response as they are needed by
-      // field resolvers on `WatchlistMutationResponse`
-      return { ...response, ...args }
-    },
+    addToWatchlist: withMutationErrors(
+      async (_, args, context) => {
+        const { movieDatabaseV3 } = context.dataSources
+        const params = { ...args, accountId: getAccountId(args, context) }
+        const response = await movieDatabaseV3.addToWatchlist(params)
+        // the `params` are passed down with the response as they are needed by
+        // field resolvers on `WatchlistMutationResponse`
+        return { ...response, ...params }
+      },
+      { NOT_FOUND: 'input.id', BAD_USER_INPUT: 'input' }
+    ),
     // TODO: DRY
-    addToFavorites: async (_, args, { dataSources }) => {
-      const { movieDatabaseV3 } = dataSources
-      const response = await movieDatabaseV3.addToFavorites(args)
-      // the `args` are passed down with the response as they are needed by
-      // field resolvers on `FavoriteMutationResponse`
-      return { ...response, ...args }
-    },
-    submitUserRating: async (_, { input }, { dataSources }) => {
-      const { movieDatabaseV3 } = dataSources
-      const response = await movieDatabaseV3.updateRating(input)
-      return { ...response, input }
-    },
+    addToFavorites: withMutationErrors(
+      async (_, args, context) => {
+        const { movieDatabaseV3 } = context.dataSources
+        const params = { ...args, accountId: getAccountId(args, context) }
+        const response = await movieDatabaseV3.addToFavorites(params)
+        // the `params` are passed down with the response as they are needed by
+        // field resolvers on `FavoriteMutationResponse`
+        return { ...response, ...params }
+      },
+      { NOT_FOUND: 'input.id', BAD_USER_INPUT: 'input' }
+    ),
+    submitUserRating: withMutationErrors(
+      async (_, { input }, { dataSources }) => {
+        const { movieDatabaseV3 } = dataSources
+        const response = await movieDatabaseV3.updateRating(input)
+        return { ...response, input }
+      },
+      { NOT_FOUND: 'input.id', BAD_USER_INPUT: 'input.value' }
+    ),
     // Creates a request token
-    createRequestToken(_, args, { dataSources }) {
-      const { movieDatabaseV4 } = dataSources
-      return movieDatabaseV4.createRequestToken(args)
-    },
+    createRequestToken: withMutationErrors(
+      (_, args, { dataSources }) => {
+        const { movieDatabaseV4 } = dataSources
+        return movieDatabaseV4.createRequestToken(args)
+      },
+      { BAD_USER_INPUT: 'redirectTo' }
+    ),
     // Creates a user access token
-    createAccessToken: async (_, { requestToken }, { dataSources }) => {
-      const { movieDatabaseV4, movieDatabaseV3 } = dataSources
-      // 1. Create a user access token (V4 auth)
-      const response = await movieDatabaseV4.createAccessToken({ requestToken })
-      if (!response.success) return response
-      // 2. Convert the access token to a session ID (V3 auth)
-      const { accessToken, accountId } = response
-      const { sessionId } = await movieDatabaseV3.convertTokenToSessionID({
-        accessToken
-      })
-      // 3. Combine both credentials into a single token
-      const tokenPayload = { accessToken, sessionId }
-      const token = jwt.sign(tokenPayload, process.env.SECRET)
-      return { token, accountId, success: true }
-    },
+    createAccessToken: withMutationErrors(
+      async (_, { requestToken }, { dataSources, sessions }) => {
+        const { movieDatabaseV4, movieDatabaseV3 } = dataSources
+        // 1. Create a user access token (V4 auth)
+        const response = await movieDatabaseV4.createAccessToken({
+          requestToken
+        })
+        const { accessToken, accountId } = response
+        // 2. Convert the access token to a session ID (V3 auth)
+        const { sessionId } = await movieDatabaseV3.convertTokenToSessionID({
+          accessToken
+        })
+        // 3. Store both credentials in a new session. The client gets a
+        // session token, which is sent in the `Authorization` header.
+        const credentials = { accessToken, sessionId, accountId }
+        const { token, expiresAt } = await sessions.create(credentials)
+        return { token, expiresAt, accountId }
+      },
+      { BAD_USER_INPUT: 'requestToken', UNAUTHENTICATED: 'requestToken' }
+    ),
+    // Creates a new token for a session. The token can be expired.
+    refreshSession: withMutationErrors(
+      (_, { token }, { sessions }) => sessions.refresh(token),
+      { UNAUTHENTICATED: 'token' }
+    ),
+    // Logs the user out by revoking the session, so its tokens can no longer
+    // be used.
+    logout: withMutationErrors(
+      async (_parent, _args, { session, sessions }) => {
+        await sessions.revoke(session.id)
+      }
+    ),
     // Delete a user access token
     // Note: not working due to bug in TMDB API
-    deleteAccessToken: async (_parent, _args, { dataSources }) => {
-      const { movieDatabaseV4, movieDatabaseV3 } = dataSources
-      const response = await movieDatabaseV4.deleteAccessToken()
-      if (!response.success) return response
-      return movieDatabaseV3.deleteSessionID()
-    }
+    deleteAccessToken: withMutationErrors(
+      async (_parent, _args, { dataSources }) => {
+        const { movieDatabaseV4, movieDatabaseV3 } = dataSources
+        await movieDatabaseV4.deleteAccessToken()
+        return movieDatabaseV3.deleteSessionID()
+      }
+    )
   },
   // --------------------------------------------------
   // Object Resolvers
@@ -283,10 +571,12 @@ const resolvers = {
       const { movieDatabaseV3 } = dataSources
       return movieDatabaseV3.getAccount(accountId)
     },
-    lists: async ({ accountId }, args, { dataSources }) => {
-      const { movieDatabaseV4 } = dataSources
-      return movieDatabaseV4.myLists({ accountId, ...args })
-    },
+    lists: withCursorPagination(
+      async ({ accountId }, args, { dataSources }) => {
+        const { movieDatabaseV4 } = dataSources
+        return movieDatabaseV4.myLists({ accountId, ...args })
+      }
+    ),
     watchlist: parent => parent,
     favorites: parent => parent,
     ratings: parent => parent,
@@ -301,29 +591,37 @@ const resolvers = {
   },
   // TODO: DRY
   Watchlist: {
-    movies: async ({ accountId }, args, { dataSources }) => {
-      const { movieDatabaseV4 } = dataSources
-      const mediaType = 'MOVIE'
-      return movieDatabaseV4.myWatchlist({ accountId, mediaType, ...args })
-    },
-    shows: async ({ accountId }, args, { dataSources }) => {
-      const { movieDatabaseV4 } = dataSources
-      const mediaType = 'TV'
-      return movieDatabaseV4.myWatchlist({ accountId, mediaType, ...args })
-    }
+    movies: withCursorPagination(
+      async ({ accountId }, args, { dataSources }) => {
+        const { movieDatabaseV4 } = dataSources
+        const mediaType = 'MOVIE'
+        return movieDatabaseV4.myWatchlist({ accountId, mediaType, ...args })
+      }
+    ),
+    shows: withCursorPagination(
+      async ({ accountId }, args, { dataSources }) => {
+        const { movieDatabaseV4 } = dataSources
+        const mediaType = 'TV'
+        return movieDatabaseV4.myWatchlist({ accountId, mediaType, ...args })
+      }
+    )
   },
   // TODO: DRY
   Favorites: {
-    movies: async ({ accountId }, args, { dataSources }) => {
-      const { movieDatabaseV4 } = dataSources
-      const mediaType = 'MOVIE'
-      return movieDatabaseV4.myFavorites({ accountId, mediaType, ...args })
-    },
-    shows: async ({ accountId }, args, { dataSources }) => {
-      const { movieDatabaseV4 } = dataSources
-      const mediaType = 'TV'
-      return movieDatabaseV4.myFavorites({ accountId, mediaType, ...args })
-    }
+    movies: withCursorPagination(
+      async ({ accountId }, args, { dataSources }) => {
+        const { movieDatabaseV4 } = dataSources
+        const mediaType = 'MOVIE'
+        return movieDatabaseV4.myFavorites({ accountId, mediaType, ...args })
+      }
+    ),
+    shows: withCursorPagination(
+      async ({ accountId }, args, { dataSources }) => {
+        const { movieDatabaseV4 } = dataSources
+        const mediaType = 'TV'
+        return movieDatabaseV4.myFavorites({ accountId, mediaType, ...args })
+      }
+    )
   },
   Ratings: {
     movies: async ({ accountId }, args, { dataSources }) => {
@@ -338,24 +636,28 @@ const resolvers = {
     }
   },
   Recommendations: {
-    movies: async ({ accountId }, args, { dataSources }) => {
-      const { movieDatabaseV4 } = dataSources
-      const mediaType = 'MOVIE'
-      return movieDatabaseV4.myRecommendations({
-        accountId,
-        mediaType,
-        ...args
-      })
-    },
-    shows: async ({ accountId }, args, { dataSources }) => {
-      const { movieDatabaseV4 } = dataSources
-      const mediaType = 'TV'
-      return movieDatabaseV4.myRecommendations({
-        accountId,
-        mediaType,
-        ...args
-      })
-    }
+    movies: withCursorPagination(
+      async ({ accountId }, args, { dataSources }) => {
+        const { movieDatabaseV4 } = dataSources
+        const mediaType = 'MOVIE'
+        return movieDatabaseV4.myRecommendations({
+          accountId,
+          mediaType,
+          ...args
+        })
+      }
+    ),
+    shows: withCursorPagination(
+      async ({ accountId }, args, { dataSources }) => {
+        const { movieDatabaseV4 } = dataSources
+        const mediaType = 'TV'
+        return movieDatabaseV4.myRecommendations({
+          accountId,
+          mediaType,
+          ...args
+        })
+      }
+    )
   },
   AccountStates: {
     rating: ({ rated }) => (rated ? rated.value : null)
@@ -368,13 +670,37 @@ const resolvers = {
   SearchResult: {
     __resolveType: ({ mediaType }) => transforms.toTypename(mediaType)
   },
+  FindResult: {
+    __resolveType: ({ mediaType }) => transforms.toTypename(mediaType)
+  },
   ImageConfiguration: {
     // Use HTTPS for the default base URL
     baseUrl: ({ secureBaseUrl }) => secureBaseUrl
   },
   Movie: {
     ...createMediaObjectResolvers('Movie'),
-    mediaType: () => 'MOVIE'
+    mediaType: () => 'MOVIE',
+    // The collection is only included in the details response. Returns the
+    // basic collection fields; the `Collection` resolvers fetch the details.
+    collection: async (parent, _, { dataSources }) => {
+      const { movieDatabaseV3 } = dataSources
+      const { belongsToCollection, id } = parent
+      if (belongsToCollection !== undefined) return belongsToCollection
+      return (await movieDatabaseV3.getMovie({ id }))['belongsToCollection']
+    },
+    // Get the release dates of the movie, optionally filtered by country
+    releaseDates: async ({ releaseDates, id }, args, { dataSources }) => {
+      const { movieDatabaseV3 } = dataSources
+      if (!releaseDates) {
+        const movie = await movieDatabaseV3.getMovie({ id }, ['release_dates'])
+        releaseDates = movie.releaseDates
+      }
+      const { country } = args
+      if (!country) return releaseDates.results
+      return releaseDates.results.filter(item => {
+        return item.iso_3166_1 === country.toUpperCase()
+      })
+    }
   },
   Show: {
     ...createMediaObjectResolvers('Show'),
@@ -382,6 +708,19 @@ const resolvers = {
     title: ({ name }) => name, // make consistent with Movie
     originalTitle: ({ originalName }) => originalName,
     releaseDate: ({ firstAirDate }) => firstAirDate,
+    // Get the content ratings of the show, optionally filtered by country
+    contentRatings: async ({ contentRatings, id }, args, { dataSources }) => {
+      const { movieDatabaseV3 } = dataSources
+      if (!contentRatings) {
+        const show = await movieDatabaseV3.getShow({ id }, ['content_ratings'])
+        contentRatings = show.contentRatings
+      }
+      const { country } = args
+      if (!country) return contentRatings.results
+      return contentRatings.results.filter(item => {
+        return item.iso_3166_1 === country.toUpperCase()
+      })
+    },
     // Get all seasons of a show
     seasons: async ({ seasons, id }, _, { dataSources }) => {
       const { movieDatabaseV3 } = dataSources
@@ -392,9 +731,12 @@ const resolvers = {
       return seasons.map(season => ({ showId: id, ...season }))
     },
     // Gets a single season of the show
-    season: async ({ id: showId }, { seasonNumber }, { dataSources }) => {
+    season: async ({ id: showId }, { seasonNumber }, { dataSources }, info) => {
       const { movieDatabaseV3 } = dataSources
-      const season = await movieDatabaseV3.getSeason({ showId, seasonNumber })
+      const season = await movieDatabaseV3.getSeason(
+        { showId, seasonNumber },
+        getSubResources(info)
+      )
       // Pass down the `showId` prop to the `season` field. This allows it to
       // make an API request to `/tv/${showId}/season/${seasonNumber}` to get
       // episodes when the `episodes` field is present in the query.
@@ -411,14 +753,13 @@ const resolvers = {
       return data.episodes
     },
     // Gets a single episode of the season
-    episode: async (parent, { episodeNumber }, { dataSources }) => {
+    episode: async (parent, { episodeNumber }, { dataSources }, info) => {
       const { movieDatabaseV3 } = dataSources
       const { showId, seasonNumber } = parent
-      return await movieDatabaseV3.getEpisode({
-        showId,
-        seasonNumber,
-        episodeNumber
-      })
+      return await movieDatabaseV3.getEpisode(
+        { showId, seasonNumber, episodeNumber },
+        getSubResources(info)
+      )
     }
   },
   Episode: {
@@ -426,6 +767,13 @@ const resolvers = {
     title: ({ name }) => name // make consistent with Movie
   },
   Person: {
+    changes: createChangesResolver('PERSON'),
+    externalIds: async ({ externalIds, id }, _, { dataSources }) => {
+      const { movieDatabaseV3 } = dataSources
+      if (externalIds) return externalIds
+      const person = await movieDatabaseV3.getPerson({ id }, ['external_ids'])
+      return person.externalIds
+    },
     knownFor: async ({ name, id, knownFor }, _, { dataSources }) => {
       const { movieDatabaseV3 } = dataSources
       // @TODO: find a better solution for the following issue:
@@ -453,7 +801,9 @@ const resolvers = {
       // If the response doesn't already include `combined_credits`, make an
       // API request to `/person/${id}` to fetch it
       if (!combinedCredits) {
-        const data = await movieDatabaseV3.getPerson({ id })
+        const data = await movieDatabaseV3.getPerson({ id }, [
+          'combined_credits'
+        ])
         combinedCredits = data.combinedCredits
       }
       return {
@@ -462,6 +812,89 @@ const resolvers = {
       }
     }
   },
+  Company: {
+    description: (parent, _, { dataSources }) => {
+      return _getCompanyField('description', parent, dataSources)
+    },
+    headquarters: (parent, _, { dataSources }) => {
+      return _getCompanyField('headquarters', parent, dataSources)
+    },
+    homepage: (parent, _, { dataSources }) => {
+      return _getCompanyField('homepage', parent, dataSources)
+    },
+    originCountry: (parent, _, { dataSources }) => {
+      return _getCompanyField('originCountry', parent, dataSources)
+    },
+    parentCompany: (parent, _, { dataSources }) => {
+      return _getCompanyField('parentCompany', parent, dataSources)
+    },
+    alternativeNames: async ({ id }, _, { dataSources }) => {
+      const { movieDatabaseV3 } = dataSources
+      return movieDatabaseV3.getCompanyAlternativeNames({ id })
+    },
+    logos: async ({ id }, _, { dataSources, language }) => {
+      const { movieDatabaseV3 } = dataSources
+      const logos = await movieDatabaseV3.getCompanyLogos({ id })
+      return sortImagesByLanguage(logos, language)
+    },
+    // Movies and shows are fetched using the discover API
+    movies: withCursorPagination(async ({ id }, args, { dataSources }) => {
+      const { movieDatabaseV3 } = dataSources
+      const mediaType = 'MOVIE'
+      return movieDatabaseV3.discover({ mediaType, withCompanies: id, ...args })
+    }),
+    shows: withCursorPagination(async ({ id }, args, { dataSources }) => {
+      const { movieDatabaseV3 } = dataSources
+      const mediaType = 'TV'
+      return movieDatabaseV3.discover({ mediaType, withCompanies: id, ...args })
+    })
+  },
+  ReleaseDate: {
+    type: ({ type }) => transforms.toReleaseType(type)
+  },
+  WatchProviders: {
+    flatrate: ({ flatrate }) => flatrate || [],
+    rent: ({ rent }) => rent || [],
+    buy: ({ buy }) => buy || [],
+    free: ({ free }) => free || [],
+    ads: ({ ads }) => ads || []
+  },
+  WatchProvider: {
+    id: ({ providerId }) => providerId,
+    name: ({ providerName }) => providerName
+  },
+  Collection: {
+    overview: (parent, _, { dataSources }) => {
+      return _getCollectionField('overview', parent, dataSources)
+    },
+    // Movies in the collection are sorted by release date. Movies without a
+    // release date are listed last.
+    parts: async (parent, _, { dataSources }) => {
+      const parts = await _getCollectionField('parts', parent, dataSources)
+      return sortBy(parts, [({ releaseDate }) => !releaseDate, 'releaseDate'])
+    },
+    posters: async (parent, _, { dataSources, language }) => {
+      const images = await _getCollectionField('images', parent, dataSources)
+      return sortImagesByLanguage(images.posters || [], language)
+    },
+    backdrops: async (parent, _, { dataSources, language }) => {
+      const images = await _getCollectionField('images', parent, dataSources)
+      return sortImagesByLanguage(images.backdrops || [], language)
+    }
+  },
+  ChangeRecord: {
+    // Keys that are not defined in the `ChangeKey` enum are returned as OTHER
+    key: ({ key }, _, __, info) => {
+      const value = constantCase(key)
+      const enumType = getNamedType(info.returnType)
+      return enumType.getValue(value) ? value : 'OTHER'
+    },
+    action: ({ action }) => constantCase(action),
+    value: ({ value }) => (value === undefined ? null : JSON.stringify(value)),
+    originalValue: ({ originalValue }) => {
+      return originalValue === undefined ? null : JSON.stringify(originalValue)
+    }
+  },
   Video: {
     type: ({ type }) => constantCase(type),
     language: ({ iso_639_1 }) => iso_639_1,
@@ -530,11 +963,11 @@ const resolvers = {
     // Gets the updated watchlist
     watchlist: parent => (parent.success ? parent : null),
     // Gets the updated Media object that was added/removed by mutation
-    media: (parent, _, { dataSources }) => {
+    media: (parent, _, { dataSources }, info) => {
       if (!parent.success) return null
       const { movieDatabaseV3 } = dataSources
-      const { mediaType, id } = parent.item
-      return movieDatabaseV3[`get${transforms.toTypename(mediaType)}`]({ id })
+      const { mediaType, id } = parent.input
+      return movieDatabaseV3.getMedia({ mediaType, id }, getSubResources(info))
     }
   },
   // TODO: DRY
@@ -543,28 +976,38 @@ const resolvers = {
     // Gets the updated favorites list
     favorites: parent => (parent.success ? parent : null),
     // Gets the Media object that was added/removed by mutation
-    media: (parent, _, { dataSources }) => {
+    media: (parent, _, { dataSources }, info) => {
       if (!parent.success) return null
       const { movieDatabaseV3 } = dataSources
-      const { mediaType, id } = parent.item
-      return movieDatabaseV3[`get${transforms.toTypename(mediaType)}}`]({ id })
+      const { mediaType, id } = parent.input
+      return movieDatabaseV3.getMedia({ mediaType, id }, getSubResources(info))
     }
   },
   RatingMutationResponse: {
     success: ({ success }) => !!success,
-    media: ({ success, input }, _, { dataSources }) => {
+    media: ({ success, input }, _, { dataSources }, info) => {
       if (!success) return null
       const { movieDatabaseV3 } = dataSources
-      const { mediaType, id } = input
-      return movieDatabaseV3[`get${transforms.toTypename(mediaType)}`]({ id })
+      return movieDatabaseV3.getMedia(input, getSubResources(info))
     }
   },
   ListItemResult: {
     id: ({ mediaId }) => mediaId
   },
+  // Cursor pagination fields (`edges` and `pageInfo`) of connections
+  MoviesConnection: createConnectionResolvers(),
+  ShowsConnection: createConnectionResolvers(),
+  PeopleConnection: createConnectionResolvers(),
+  ReviewsConnection: createConnectionResolvers(),
+  ListsConnection: createConnectionResolvers(),
+  TrendingConnection: createConnectionResolvers(),
+  // The changes endpoints return 100 results per page
+  ChangesConnection: createConnectionResolvers({ pageSize: 100 }),
   // Connection is a paginated response
   Connection: {
-    __resolveType: ({ results }) => {
+    __resolveType: ({ results, __typename }) => {
+      // Resolvers can specify the concrete type of the connection
+      if (__typename) return __typename
       // Use the first item in results to determine the concrete type of the
       // connection. TODO: this might not be the right way to go about this?
       const node = results && results[0]
@@ -578,7 +1021,9 @@ const resolvers = {
   },
   CreateRequestTokenResponse: AuthMutationResponse,
   CreateAccessTokenResponse: AuthMutationResponse,
-  DeleteAccessTokenResponse: AuthMutationResponse
+  DeleteAccessTokenResponse: AuthMutationResponse,
+  RefreshSessionResponse: AuthMutationResponse,
+  LogoutResponse: AuthMutationResponse
 }
 
 module.exports = resolvers
@@ -0,0 +1,176 @@
+const { URL } = require('apollo-server-env')
+const { GraphQLScalarType, Kind } = require('graphql')
+const { UserInputError } = require('apollo-server')
+
+/**
+ * Creates a scalar type that is represented as a string in queries and
+ * responses.
+ *
+ * - `parse` validates input values (arguments and variables). It throws a
+ *   `BAD_USER_INPUT` error when the value is invalid.
+ * - `serialize` formats values from the TMDB API. Empty values (the API uses
+ *   `""` for missing dates, etc) are serialized as `null`. When `lenient` is
+ *   set, values that can't be formatted (including empty values) are returned
+ *   as is, instead of failing the field.
+ *
+ * @param {Object} config
+ * @param {string} config.name
+ * @param {string} config.description
+ * @param {(value: string) => *} config.parse returns the parsed value, or
+ *     `undefined` if the value is invalid.
+ * @param {(value: *) => *} [config.serialize] defaults to `parse`
+ * @param {boolean} [config.lenient] use for values that are not validated by
+ *     the API, which are used by non-null fields
+ * @return {GraphQLScalarType}
+ */
+function createStringScalar({
+  name,
+  description,
+  parse,
+  serialize = parse,
+  lenient = false
+}) {
+  const parseValue = value => {
+    const result = typeof value === 'string' ? parse(value) : undefined
+    if (result === undefined) {
+      throw new UserInputError(`Invalid ${name}: ${JSON.stringify(value)}`)
+    }
+    return result
+  }
+  return new GraphQLScalarType({
+    name,
+    description,
+    serialize: value => {
+      if (value == null) return null
+      if (lenient) {
+        const result = value === '' ? undefined : serialize(String(value))
+        return result === undefined ? String(value) : result
+      }
+      if (value === '') return null
+      const result = serialize(value)
+      if (result === undefined) {
+        throw new TypeError(`${name} cannot represent ${JSON.stringify(value)}`)
+      }
+      return result
+    },
+    parseValue,
+    parseLiteral: ast => {
+      if (ast.kind !== Kind.STRING) {
+        throw new UserInputError(`${name} must be a string`)
+      }
+      return parseValue(ast.value)
+    }
+  })
+}
+
+// Checks if a `YYYY-MM-DD` string is a real calendar date (ie not 2019-02-30)
+function isCalendarDate(value) {
+  const date = new Date(`${value}T00:00:00.000Z`)
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value
+}
+
+const DateScalar = createStringScalar({
+  name: 'Date',
+  description: 'A calendar date in the format `YYYY-MM-DD` (ie `2019-04-24`)',
+  parse: value => {
+    const valid = /^\d{4}-\d{2}-\d{2}$/.test(value) && isCalendarDate(value)
+    return valid ? value : undefined
+  },
+  // Dates from the API are sometimes full timestamps
+  serialize: value => {
+    const date = value instanceof Date ? value : new Date(value)
+    return isNaN(date) ? undefined : date.toISOString().slice(0, 10)
+  }
+})
+
+const DateTimeScalar = createStringScalar({
+  name: 'DateTime',
+  description:
+    'A date and time in ISO 8601 format, in UTC (ie `2019-04-24T17:13:41.000Z`)',
+  parse: value => {
+    const date = new Date(value)
+    const valid = /^\d{4}-\d{2}-\d{2}T/.test(value) && !isNaN(date)
+    return valid ? date.toISOString() : undefined
+  },
+  // The API uses different formats (ie `2019-04-24 17:13:41 UTC`)
+  serialize: value => {
+    const date = value instanceof Date ? value : new Date(value)
+    return isNaN(date) ? undefined : date.toISOString()
+  }
+})
+
+const LanguageCodeScalar = createStringScalar({
+  name: 'LanguageCode',
+  description:
+    'An ISO 639-1 language code (ie `en`), optionally with an ISO 3166-1 ' +
+    'country code (ie `en-US`)',
+  parse: value => {
+    const match = /^([a-z]{2})(?:-([a-z]{2}))?$/i.exec(value)
+    if (!match) return undefined
+    const [, language, country] = match
+    return country
+      ? `${language.toLowerCase()}-${country.toUpperCase()}`
+      : language.toLowerCase()
+  },
+  lenient: true
+})
+
+const CountryCodeScalar = createStringScalar({
+  name: 'CountryCode',
+  description: 'An ISO 3166-1 country code (ie `US`)',
+  parse: value => (/^[a-z]{2}$/i.test(value) ? value.toUpperCase() : undefined),
+  lenient: true
+})
+
+const URLScalar = createStringScalar({
+  name: 'URL',
+  description: 'A URL. Input values must be absolute http(s) URLs.',
+  parse: value => {
+    try {
+      const url = new URL(value)
+      return /^https?:$/.test(url.protocol) ? url.toString() : undefined
+    } catch (error) {
+      return undefined
+    }
+  },
+  // URLs from the API are not modified. Some are missing the protocol (ie
+  // `www.example.com`), so they are not validated.
+  serialize: value => String(value)
+})
+
+const BigIntScalar = new GraphQLScalarType({
+  name: 'BigInt',
+  description:
+    'An integer that can be larger than 32 bits, ie amounts of money (the ' +
+    '`budget` and `revenue` of a movie, in US dollars)',
+  serialize: value => {
+    if (value == null || value === '') return null
+    const number = Number(value)
+    if (!Number.isSafeInteger(number)) {
+      throw new TypeError(`BigInt cannot represent ${JSON.stringify(value)}`)
+    }
+    return number
+  },
+  parseValue: value => {
+    const number = typeof value === 'string' ? Number(value) : value
+    if (!Number.isSafeInteger(number)) {
+      throw new UserInputError(`Invalid BigInt: ${JSON.stringify(value)}`)
+    }
+    return number
+  },
+  parseLiteral: ast => {
+    if (ast.kind !== Kind.INT && ast.kind !== Kind.STRING) {
+      throw new UserInputError('BigInt must be an integer')
+    }
+    return BigIntScalar.parseValue(ast.value)
+  }
+})
+
+module.exports = {
+  Date: DateScalar,
+  DateTime: DateTimeScalar,
+  LanguageCode: LanguageCodeScalar,
+  CountryCode: CountryCodeScalar,
+  URL: URLScalar,
+  BigInt: BigIntScalar
+}
@@ -1,45 +1,89 @@
 require('dotenv').config() // Load environment variables
-const { ApolloServer } = require('apollo-server')
+const { ApolloServer, AuthenticationError } = require('apollo-server')
 const path = require('path')
 const { importSchema } = require('@lukepeavey/graphql-import')
-const jwt = require('jsonwebtoken')
-const debug = require('./utils/debug')
+const pick = require('lodash/pick')
 const MovieDataBaseV3 = require('./datasources/MovieDatabaseV3')
 const MovieDataBaseV4 = require('./datasources/MovieDatabaseV4')
 const playground = require('./config/playground')
+const localePlugin = require('./plugins/locale')
+const createCacheStatsPlugin = require('./plugins/cacheStats')
+const retryTracingPlugin = require('./plugins/retryTracing')
+const staleResponsesPlugin = require('./plugins/staleResponses')
+const { createCache } = require('./cache')
+const { createSessionStore, getSessionToken } = require('./sessions')
 const resolvers = require('./resolvers')
+const schemaDirectives = require('./directives')
+const { parseAcceptLanguage } = require('./utils/locale')
 
 // import schema using graphql-import
 const typeDefs = importSchema(path.join(__dirname, 'schema/index.graphql'))
 
+// Error extensions that are returned to clients in production
+const SAFE_ERROR_EXTENSIONS = ['code', 'field', 'retryAfter']
+
+// The cache for responses from the TMDB API. This is shared by all requests.
+const cache = createCache()
+
+// The store for user sessions, which are created by the `createAccessToken`
+// mutation.
+const sessions = createSessionStore()
+
 // Create the Apollo Server instance
 const server = new ApolloServer({
   typeDefs,
   resolvers,
+  schemaDirectives,
   playground,
   mocks: false,
   tracing: true,
   cacheControl: true,
   introspection: true,
   engine: { apiKey: process.env.ENGINE_API_KEY },
+  cache,
+  plugins: [
+    localePlugin,
+    retryTracingPlugin,
+    staleResponsesPlugin,
+    // The stats of the shared cache are only exposed when they are enabled
+    ...(process.env.CACHE_STATS === 'true'
+      ? [createCacheStatsPlugin(cache)]
+      : [])
+  ],
   dataSources: () => ({
     movieDatabaseV3: new MovieDataBaseV3(),
     movieDatabaseV4: new MovieDataBaseV4()
   }),
-  context: ({ req }) => {
-    // Check headers for a user authentication token.
-    if (req.headers.authorization) {
+  context: async ({ req }) => {
+    // Get the language and region of the request from the `Accept-Language`
+    // header. This can be overridden by the `@locale` directive.
+    const context = parseAcceptLanguage(req.headers['accept-language'])
+    context.sessions = sessions
+    // Check headers for a session token. Requests with an invalid or expired
+    // token continue without the user's credentials. The error is kept, so
+    // fields that require a user (`@auth`) fail with the reason.
+    const token = getSessionToken(req.headers.authorization)
+    if (token) {
       try {
-        return jwt.decode(req.headers.authorization, process.env.SECRET)
+        const { accessToken, sessionId, ...session } = await sessions.verify(
+          token
+        )
+        Object.assign(context, { session, accessToken, sessionId })
       } catch (error) {
-        debug.error(error)
+        if (!(error instanceof AuthenticationError)) throw error
+        context.authError = error
       }
     }
+    return context
   },
   formatError: error => {
     if (process.env.NODE_ENV !== 'development') {
-      // In production: only return error message and code
-      return { message: error.message, code: error.extensions.code }
+      // In production: return the error message and location, and the
+      // extensions that are safe to expose to clients. The upstream response
+      // and stacktrace are not included.
+      const { message, locations, path } = error
+      const extensions = pick(error.extensions, SAFE_ERROR_EXTENSIONS)
+      return { message, locations, path, code: extensions.code, extensions }
     } else {
       // In development mode:
       // 1. log errors to the console, including the stacktrace
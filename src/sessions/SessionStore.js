@@ -0,0 +1,125 @@
+const crypto = require('crypto')
+const jwt = require('jsonwebtoken')
+const { AuthenticationError } = require('apollo-server')
+
+/**
+ * Stores user sessions on the server. Session tokens (JWTs signed with the
+ * `secret`) only contain the ID of the session and the account ID; the TMDB
+ * credentials of the user are kept in the store. This allows sessions to be
+ * revoked (logout) before their tokens expire.
+ *
+ * The store uses a `KeyValueCache` (see `sessions/index.js`), so any of the
+ * cache backends can be used.
+ */
+class SessionStore {
+  /**
+   * @param {KeyValueCache} keyValueCache
+   * @param {Object} options
+   * @param {string} options.secret the secret used to sign tokens
+   * @param {number} options.tokenTTL seconds until a token expires
+   * @param {number} options.maxAge seconds until a session expires
+   */
+  constructor(keyValueCache, { secret, tokenTTL, maxAge }) {
+    this.keyValueCache = keyValueCache
+    this.secret = secret
+    this.tokenTTL = tokenTTL
+    this.maxAge = maxAge
+  }
+
+  /**
+   * Creates a new session.
+   *
+   * @param {Object} credentials
+   * @param {string} credentials.accessToken the TMDB user access token (V4)
+   * @param {string} credentials.sessionId the TMDB session ID (V3)
+   * @param {string} credentials.accountId the TMDB account ID (V4)
+   * @return {Promise<{ token: string, expiresAt: string }>}
+   */
+  async create({ accessToken, sessionId, accountId }) {
+    const id = crypto.randomBytes(16).toString('hex')
+    await this.save(id, { accessToken, sessionId, accountId })
+    return this.signToken(id, accountId)
+  }
+
+  /**
+   * Verifies a session token, and gets the session from the store.
+   *
+   * @param {string} token
+   * @param {Object} [options]
+   * @param {boolean} [options.ignoreExpiration] accept expired tokens (as long
+   *     as the session has not expired)
+   * @return {Promise<Object>} the session, with its `id` and credentials
+   * @throws {AuthenticationError} when the token is invalid or expired, or the
+   *     session has been revoked.
+   */
+  async verify(token, { ignoreExpiration = false } = {}) {
+    let payload
+    try {
+      payload = jwt.verify(token, this.secret, {
+        algorithms: ['HS256'],
+        ignoreExpiration
+      })
+    } catch (error) {
+      if (error instanceof jwt.TokenExpiredError) {
+        throw new AuthenticationError(
+          'The session token has expired. Use `refreshSession` to get a new one.'
+        )
+      }
+      throw new AuthenticationError('The session token is invalid.')
+    }
+    const value = await this.keyValueCache.get(this.key(payload.sid))
+    if (!value) {
+      throw new AuthenticationError('The session has expired or was revoked.')
+    }
+    return {
+      id: payload.sid,
+      expiresAt: new Date(payload.exp * 1000).toISOString(),
+      ...JSON.parse(value)
+    }
+  }
+
+  /**
+   * Creates a new token for the session of the given token, which can be
+   * expired. This also extends the session by `maxAge`.
+   *
+   * @param {string} token
+   * @return {Promise<{ token: string, expiresAt: string }>}
+   */
+  async refresh(token) {
+    const session = await this.verify(token, { ignoreExpiration: true })
+    const { id, accessToken, sessionId, accountId } = session
+    await this.save(id, { accessToken, sessionId, accountId })
+    return this.signToken(id, accountId)
+  }
+
+  /**
+   * Deletes a session. Tokens for the session can no longer be used.
+   * @param {string} id the session id
+   */
+  async revoke(id) {
+    await this.keyValueCache.delete(this.key(id))
+  }
+
+  /** @private */
+  key(id) {
+    return `session:${id}`
+  }
+
+  /** @private */
+  save(id, credentials) {
+    return this.keyValueCache.set(this.key(id), JSON.stringify(credentials), {
+      ttl: this.maxAge
+    })
+  }
+
+  /** @private */
+  signToken(id, accountId) {
+    const token = jwt.sign({ sid: id, accountId }, this.secret, {
+      expiresIn: this.tokenTTL
+    })
+    const expiresAt = new Date(Date.now() + this.tokenTTL * 1000)
+    return { token, expiresAt: expiresAt.toISOString() }
+  }
+}
+
+module.exports = SessionStore
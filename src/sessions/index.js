@@ -0,0 +1,88 @@
+const os = require('os')
+const path = require('path')
+const { InMemoryLRUCache } = require('apollo-server-caching')
+const { AuthenticationError } = require('apollo-server')
+const FileCache = require('../cache/FileCache')
+const SessionStore = require('./SessionStore')
+const sessionConfig = require('../config/session')
+const { createError } = require('../utils/errors')
+
+/**
+ * Creates the store for user sessions. The backend is set using the
+ * `SESSION_STORE` environment variable.
+ *
+ * - `memory` (default): sessions are stored in memory. They are lost when the
+ *   server restarts.
+ * - `file`: sessions are stored on disk, in the `SESSION_DIR` directory.
+ *
+ * @param {Object} [env] the environment variables
+ * @return {SessionStore}
+ */
+function createSessionStore(env = process.env) {
+  if (!env.SECRET) {
+    throw new Error('The SECRET environment variable is required')
+  }
+  const options = { ...sessionConfig, secret: env.SECRET }
+  const backend = env.SESSION_STORE || 'memory'
+  switch (backend) {
+    case 'memory':
+      return new SessionStore(new InMemoryLRUCache(), options)
+    case 'file': {
+      const directory =
+        env.SESSION_DIR ||
+        path.join(os.tmpdir(), 'graphql-movie-database-sessions')
+      return new SessionStore(new FileCache({ directory }), options)
+    }
+    default:
+      throw new Error(`Unknown session store: "${backend}"`)
+  }
+}
+
+/**
+ * Gets the session token from the `Authorization` header. The token can be
+ * sent with or without the `Bearer` scheme.
+ * @param {string} [authorization]
+ * @return {string|undefined}
+ */
+function getSessionToken(authorization) {
+  if (!authorization) return undefined
+  return authorization.replace(/^Bearer\s+/i, '').trim() || undefined
+}
+
+/**
+ * Gets the account ID of the logged in user, for queries and mutations that
+ * access account data. The `accountId` argument is optional; if it is given,
+ * it has to match the account of the session.
+ *
+ * @param {Object} args the arguments of the field
+ * @param {string} [args.accountId]
+ * @param {Object} context
+ * @return {string} the account ID of the session
+ * @throws {AuthenticationError} when the user is not logged in, or the
+ *     session token is invalid or expired
+ * @throws {ForbiddenError} when `accountId` is a different account
+ */
+function getAccountId({ accountId }, { session, authError }) {
+  if (!session) {
+    // The session token of the request is invalid or expired
+    if (authError) throw authError
+    throw new AuthenticationError(
+      'You must be logged in to access account data.'
+    )
+  }
+  if (accountId != null && String(accountId) !== String(session.accountId)) {
+    throw createError(
+      'FORBIDDEN',
+      'The accountId does not match the account of the logged in user.',
+      { field: 'accountId' }
+    )
+  }
+  return session.accountId
+}
+
+module.exports = {
+  createSessionStore,
+  getSessionToken,
+  getAccountId,
+  SessionStore
+}
@@ -0,0 +1,86 @@
+/**
+ * A token bucket rate limiter. The bucket holds up to `capacity` tokens and is
+ * refilled at a constant rate. Each request takes one token; when the bucket
+ * is empty, requests wait (in order) until a token is available.
+ *
+ * @example
+ * // Allows bursts of up to 40 requests, and 4 requests per second after that
+ * const bucket = new TokenBucket({ capacity: 40, refillRate: 4 })
+ * await bucket.take()
+ */
+class TokenBucket {
+  /**
+   * @param {Object} options
+   * @param {number} options.capacity the max number of tokens
+   * @param {number} options.refillRate the number of tokens added per second
+   */
+  constructor({ capacity, refillRate }) {
+    this.capacity = capacity
+    this.refillRate = refillRate
+    this.tokens = capacity
+    this.updatedAt = Date.now()
+    // When the bucket is paused, no tokens are taken until this time
+    this.resumeAt = 0
+    this.queue = []
+    this.timer = null
+  }
+
+  /**
+   * Takes a token from the bucket
+   * @return {Promise<void>} resolves when a token is available
+   */
+  take() {
+    return new Promise(resolve => {
+      this.queue.push(resolve)
+      this.drain()
+    })
+  }
+
+  /**
+   * Stops taking tokens for the given amount of time. This is used when the
+   * API responds with `429 Too Many Requests`.
+   * @param {number} duration in milliseconds
+   */
+  pause(duration) {
+    this.resumeAt = Math.max(this.resumeAt, Date.now() + duration)
+    // The bucket starts refilling when it is resumed
+    this.tokens = 0
+    this.updatedAt = this.resumeAt
+  }
+
+  /** @private */
+  refill() {
+    const now = Date.now()
+    // No tokens are added while the bucket is paused
+    if (now <= this.updatedAt) return
+    const elapsed = (now - this.updatedAt) / 1000
+    this.tokens = Math.min(
+      this.capacity,
+      this.tokens + elapsed * this.refillRate
+    )
+    this.updatedAt = now
+  }
+
+  /** @private */
+  drain() {
+    if (this.timer) return
+    this.refill()
+    const now = Date.now()
+    while (this.queue.length && now >= this.resumeAt && this.tokens >= 1) {
+      this.tokens -= 1
+      this.queue.shift()()
+    }
+    if (!this.queue.length) return
+    // Wait until the bucket is resumed, or the next token is added
+    const wait =
+      now < this.resumeAt
+        ? this.resumeAt - now
+        : ((1 - this.tokens) / this.refillRate) * 1000
+    this.timer = setTimeout(() => {
+      this.timer = null
+      this.drain()
+    }, Math.ceil(wait))
+  }
+}
+
+module.exports = TokenBucket
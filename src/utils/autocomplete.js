@@ -0,0 +1,168 @@
+const uniqBy = require('lodash/uniqBy')
+const orderBy = require('lodash/orderBy')
+
+// Characters that are not letters or numbers separate words
+const SEPARATOR = /[^\p{L}\p{N}]+/u
+
+// The popularity that gets the max popularity score. Popularity values of the
+// API are unbounded (most are below 100, very few are above 1000).
+const MAX_POPULARITY = 1000
+
+// The weight of the text match in the score. The rest is popularity.
+const TEXT_WEIGHT = 0.7
+
+/**
+ * Normalizes text for matching: lower case, without diacritics (ie `é` ->
+ * `e`). The result includes the offset in the original text of each character
+ * of the normalized text, which is used to create highlight ranges.
+ *
+ * @param {string} text
+ * @return {{ normalized: string, offsets: number[] }}
+ */
+function normalize(text) {
+  let normalized = ''
+  const offsets = []
+  let offset = 0
+  for (const char of text) {
+    const folded = char
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+    for (const foldedChar of folded) {
+      normalized += foldedChar
+      offsets.push(offset)
+    }
+    offset += char.length
+  }
+  // The offset of the end of the text
+  offsets.push(offset)
+  return { normalized, offsets }
+}
+
+/**
+ * Splits normalized text into words
+ * @param {string} normalized
+ * @return {string[]}
+ */
+function toWords(normalized) {
+  return normalized.split(SEPARATOR).filter(Boolean)
+}
+
+/**
+ * Finds each word of the prefix in the normalized text. Matches at the start
+ * of a word are preferred.
+ * @private
+ * @return {Array<{ start: number, end: number, wordStart: boolean }|null>}
+ */
+function findWords(words, normalized) {
+  return words.map(word => {
+    let index = normalized.indexOf(word)
+    let fallback = null
+    while (index !== -1) {
+      const match = { start: index, end: index + word.length }
+      if (index === 0 || SEPARATOR.test(normalized[index - 1])) {
+        return { ...match, wordStart: true }
+      }
+      fallback = fallback || { ...match, wordStart: false }
+      index = normalized.indexOf(word, index + 1)
+    }
+    return fallback
+  })
+}
+
+/**
+ * Gets the ranges of the text that match the prefix, in the original text.
+ * Overlapping ranges are merged.
+ * @private
+ */
+function toHighlights(matches, offsets) {
+  const ranges = orderBy(matches.filter(Boolean), 'start')
+  return ranges.reduce((result, { start, end }) => {
+    const range = { start: offsets[start], end: offsets[end] }
+    const previous = result[result.length - 1]
+    if (previous && range.start <= previous.end) {
+      previous.end = Math.max(previous.end, range.end)
+      return result
+    }
+    return [...result, range]
+  }, [])
+}
+
+/**
+ * Scores how well the text matches the prefix, from 0 to 1.
+ * - 1: the text is the prefix (ignoring case, diacritics and punctuation)
+ * - 0.9: the text starts with the prefix
+ * - 0.7: each word of the prefix is found at the start of a word
+ * - 0.5: each word of the prefix is found in the text
+ * - 0.2: otherwise (the API also matches other data, ie original titles)
+ * @private
+ */
+function getTextScore(words, textWords, matches) {
+  const prefix = words.join(' ')
+  const text = textWords.join(' ')
+  if (text === prefix) return 1
+  if (text.startsWith(prefix)) return 0.9
+  if (matches.every(match => match && match.wordStart)) return 0.7
+  if (matches.every(Boolean)) return 0.5
+  return 0.2
+}
+
+/**
+ * Scores the popularity from 0 to 1, on a log scale.
+ * @private
+ */
+function getPopularityScore(popularity = 0) {
+  const score = Math.log10(1 + popularity) / Math.log10(1 + MAX_POPULARITY)
+  return Math.min(score, 1)
+}
+
+/**
+ * Converts a search result to a `Suggestion`.
+ * @private
+ */
+function toSuggestion(type, result, words) {
+  const text = result.title || result.name || ''
+  const { normalized, offsets } = normalize(text)
+  const matches = findWords(words, normalized)
+  const textScore = getTextScore(words, toWords(normalized), matches)
+  const date = result.releaseDate || result.firstAirDate
+  return {
+    id: result.id,
+    type,
+    text,
+    year: date ? Number(date.slice(0, 4)) : null,
+    imagePath: result.posterPath || result.profilePath || result.logoPath,
+    highlights: toHighlights(matches, offsets),
+    score:
+      TEXT_WEIGHT * textScore +
+      (1 - TEXT_WEIGHT) * getPopularityScore(result.popularity),
+    node: result
+  }
+}
+
+/**
+ * Merges the search results for each type into a single list of suggestions.
+ * Suggestions are ranked by how well their text matches the prefix, and by
+ * popularity. Duplicates (results with the same type and ID) are removed.
+ *
+ * @param {string} prefix
+ * @param {Object} resultsByType the search results for each
+ *     `AutocompleteType` (ie `{ MOVIE: [...], PERSON: [...] }`)
+ * @return {Object[]} the suggestions, best first
+ */
+function rankSuggestions(prefix, resultsByType) {
+  const words = toWords(normalize(prefix).normalized)
+  const suggestions = Object.entries(resultsByType).reduce(
+    (result, [type, results]) => {
+      return [...result, ...results.map(r => toSuggestion(type, r, words))]
+    },
+    []
+  )
+  return orderBy(
+    uniqBy(suggestions, ({ type, id }) => `${type}:${id}`),
+    'score',
+    'desc'
+  )
+}
+
+module.exports = { normalize, toWords, rankSuggestions }
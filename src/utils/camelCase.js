@@ -2,6 +2,8 @@ const _camelCaseKeys = require('camelcase-keys')
 
 module.exports.camelCaseKeys = function camelCaseKeys(obj) {
   // Exclude the following keys. The cannot be converted to camelCase.
-  const exclude = ['iso_639_1', 'iso_3166_1']
+  // Objects that are keyed by country code (ie `{ US: {...}, 'CA-QC': {...} }`)
+  // keep their original keys as well.
+  const exclude = ['iso_639_1', 'iso_3166_1', /^[A-Z]{2}(-[A-Z]{2})?$/]
   return _camelCaseKeys(obj, { deep: true, exclude })
 }
@@ -0,0 +1,37 @@
+/**
+ * Creates a function that limits the number of concurrent async tasks. Tasks
+ * that are started when the limit has been reached are queued, and run in
+ * order when a running task completes.
+ *
+ * @example
+ * const limit = createLimiter(2)
+ * const results = await Promise.all(ids.map(id => limit(() => fetchItem(id))))
+ *
+ * @param {number} maxConcurrency the maximum number of tasks that can run at
+ *     the same time
+ * @return {(task: () => Promise<any>) => Promise<any>}
+ */
+module.exports = function createLimiter(maxConcurrency) {
+  const queue = []
+  let running = 0
+
+  function next() {
+    if (running >= maxConcurrency || !queue.length) return
+    const { task, resolve, reject } = queue.shift()
+    running += 1
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .then(() => {
+        running -= 1
+        next()
+      })
+  }
+
+  return function limit(task) {
+    return new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject })
+      next()
+    })
+  }
+}
@@ -0,0 +1,223 @@
+const get = require('lodash/get')
+const {
+  ApolloError,
+  AuthenticationError,
+  ForbiddenError,
+  UserInputError
+} = require('apollo-server')
+
+class NotFoundError extends ApolloError {
+  constructor(message) {
+    super(message, 'NOT_FOUND')
+    Object.defineProperty(this, 'name', { value: 'NotFoundError' })
+  }
+}
+
+class RateLimitedError extends ApolloError {
+  constructor(message) {
+    super(message, 'RATE_LIMITED')
+    Object.defineProperty(this, 'name', { value: 'RateLimitedError' })
+  }
+}
+
+class UpstreamUnavailableError extends ApolloError {
+  constructor(message) {
+    super(message, 'UPSTREAM_UNAVAILABLE')
+    Object.defineProperty(this, 'name', { value: 'UpstreamUnavailableError' })
+  }
+}
+
+// The error class for each error code
+const ERROR_CLASSES = {
+  NOT_FOUND: NotFoundError,
+  UNAUTHENTICATED: AuthenticationError,
+  FORBIDDEN: ForbiddenError,
+  RATE_LIMITED: RateLimitedError,
+  BAD_USER_INPUT: UserInputError,
+  UPSTREAM_UNAVAILABLE: UpstreamUnavailableError
+}
+
+/**
+ * Maps the `status_code` values of the TMDB API to error codes. This is more
+ * specific than the HTTP status, which is used when the response body does
+ * not include a status code.
+ * @see https://www.themoviedb.org/documentation/api/status-codes
+ */
+const TMDB_STATUS_CODES = {
+  2: 'UPSTREAM_UNAVAILABLE', // Invalid service
+  3: 'UNAUTHENTICATED', // Authentication failed
+  5: 'BAD_USER_INPUT', // Invalid parameters
+  6: 'NOT_FOUND', // Invalid id
+  7: 'UNAUTHENTICATED', // Invalid API key
+  8: 'BAD_USER_INPUT', // Duplicate entry
+  9: 'UPSTREAM_UNAVAILABLE', // Service offline
+  10: 'UNAUTHENTICATED', // Suspended API key
+  11: 'UPSTREAM_UNAVAILABLE', // Internal error
+  14: 'UNAUTHENTICATED', // Authentication failed
+  15: 'UPSTREAM_UNAVAILABLE', // Failed
+  16: 'UNAUTHENTICATED', // Device denied
+  17: 'UNAUTHENTICATED', // Session denied
+  18: 'BAD_USER_INPUT', // Validation failed
+  20: 'BAD_USER_INPUT', // Invalid date range
+  21: 'NOT_FOUND', // Entry not found
+  22: 'BAD_USER_INPUT', // Invalid page
+  23: 'BAD_USER_INPUT', // Invalid date
+  24: 'UPSTREAM_UNAVAILABLE', // Backend server timeout
+  25: 'RATE_LIMITED', // Request count is over the limit
+  26: 'BAD_USER_INPUT', // Username and password required
+  27: 'BAD_USER_INPUT', // Too many append to response objects
+  28: 'BAD_USER_INPUT', // Invalid timezone
+  30: 'UNAUTHENTICATED', // Invalid username and/or password
+  31: 'UNAUTHENTICATED', // Account disabled
+  32: 'UNAUTHENTICATED', // Email not verified
+  33: 'UNAUTHENTICATED', // Invalid request token
+  34: 'NOT_FOUND', // Resource not found
+  35: 'UNAUTHENTICATED', // Invalid token
+  36: 'FORBIDDEN', // Token does not have write permission
+  37: 'UNAUTHENTICATED', // Session not found
+  38: 'FORBIDDEN', // No permission to edit this resource
+  39: 'FORBIDDEN', // Resource is private
+  41: 'BAD_USER_INPUT', // Request token has not been approved
+  43: 'UPSTREAM_UNAVAILABLE', // Couldn't connect to the backend server
+  44: 'BAD_USER_INPUT', // Invalid ID
+  45: 'FORBIDDEN', // User has been suspended
+  46: 'UPSTREAM_UNAVAILABLE', // API is undergoing maintenance
+  47: 'BAD_USER_INPUT' // Invalid input
+}
+
+/**
+ * Gets the error code for an HTTP status, when the response does not include
+ * a known TMDB status code.
+ * @param {number} status
+ * @return {string}
+ */
+function codeForHTTPStatus(status) {
+  if (status === 401) return 'UNAUTHENTICATED'
+  if (status === 403) return 'FORBIDDEN'
+  if (status === 404) return 'NOT_FOUND'
+  if (status === 429) return 'RATE_LIMITED'
+  if (status === 400 || status === 422) return 'BAD_USER_INPUT'
+  if (status >= 500) return 'UPSTREAM_UNAVAILABLE'
+  return 'INTERNAL_SERVER_ERROR'
+}
+
+/**
+ * Creates an error with the given code. The `extensions` (ie the `field` that
+ * caused the error) are added to the extensions of the error.
+ *
+ * @param {string} code
+ * @param {string} message
+ * @param {Object} [extensions]
+ * @return {ApolloError}
+ */
+function createError(code, message, extensions) {
+  const ErrorClass = ERROR_CLASSES[code]
+  const error = ErrorClass
+    ? new ErrorClass(message)
+    : new ApolloError(message, code)
+  Object.assign(error.extensions, extensions)
+  return error
+}
+
+/**
+ * Creates the error for a failed TMDB request. The error code is determined
+ * by the TMDB `status_code` (if any), then the HTTP status.
+ *
+ * @param {Object} details
+ * @param {number} details.status the HTTP status
+ * @param {string} [details.statusText]
+ * @param {Object|string} [details.body] the parsed response body
+ * @param {number} [details.retryAfter] seconds until requests can be retried
+ * @return {ApolloError}
+ */
+function createTMDBError({ status, statusText, body, retryAfter }) {
+  const statusCode = get(body, 'statusCode')
+  const code = TMDB_STATUS_CODES[statusCode] || codeForHTTPStatus(status)
+  const message = get(body, 'statusMessage') || `${status}: ${statusText}`
+  // The request url is not included, since it contains the API key
+  return createError(code, message, {
+    response: { status, statusText, body },
+    ...(retryAfter != null && { retryAfter })
+  })
+}
+
+/**
+ * Checks if an error has one of the codes that can be returned in the
+ * `errors` of a mutation response.
+ * @private
+ */
+function isKnownError(error) {
+  return !!ERROR_CLASSES[get(error, 'extensions.code')]
+}
+
+/**
+ * Converts an error to the `MutationError` type.
+ * @private
+ */
+function toMutationError(error, fields) {
+  const { code, field } = error.extensions
+  return { code, field: field || fields[code] || null, message: error.message }
+}
+
+/**
+ * Creates the response of a mutation that failed with the given error.
+ * Errors that don't have one of the known codes (ie bugs) are thrown.
+ *
+ * @param {Error} error
+ * @param {Object} [fields] maps error codes to the name of the argument that
+ *     caused the error (see `withMutationErrors`)
+ * @return {Object} the mutation response
+ */
+function toMutationErrorResponse(error, fields = {}) {
+  if (!isKnownError(error)) throw error
+  const mutationError = toMutationError(error, fields)
+  return {
+    success: false,
+    message: mutationError.message,
+    errors: [mutationError]
+  }
+}
+
+/**
+ * Wraps a mutation resolver so that errors are returned in the mutation
+ * response (`success`, `message` and `errors`) instead of the top level
+ * errors of the operation. Errors that don't have one of the known codes (ie
+ * bugs) are not caught.
+ *
+ * @example
+ * const resolvers = {
+ *   Mutation: {
+ *     deleteList: withMutationErrors(
+ *       (_, args, { dataSources }) => {
+ *         return dataSources.movieDatabaseV4.deleteList(args)
+ *       },
+ *       { NOT_FOUND: 'id' }
+ *     )
+ *   }
+ * }
+ *
+ * @param {Function} resolve the mutation resolver
+ * @param {Object} [fields] maps error codes to the name of the argument that
+ *     caused the error, which is used as the `field` of the error.
+ * @return {Function} the resolver
+ */
+function withMutationErrors(resolve, fields = {}) {
+  return async (...args) => {
+    try {
+      const response = await resolve(...args)
+      return { success: true, ...response, errors: [] }
+    } catch (error) {
+      return toMutationErrorResponse(error, fields)
+    }
+  }
+}
+
+module.exports = {
+  NotFoundError,
+  RateLimitedError,
+  UpstreamUnavailableError,
+  createError,
+  createTMDBError,
+  toMutationErrorResponse,
+  withMutationErrors
+}
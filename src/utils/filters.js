@@ -0,0 +1,355 @@
+const mapValues = require('lodash/mapValues')
+const omitBy = require('lodash/omitBy')
+const isNil = require('lodash/isNil')
+const orderBy = require('lodash/orderBy')
+const partition = require('lodash/partition')
+const { UserInputError } = require('apollo-server')
+
+/**
+ * The IDs of the official genres, by the values of the `MovieGenre` and
+ * `TVGenre` enums.
+ * @see https://developers.themoviedb.org/3/genres/get-movie-list
+ */
+const GENRE_IDS = {
+  MOVIE: {
+    ACTION: 28,
+    ADVENTURE: 12,
+    ANIMATION: 16,
+    COMEDY: 35,
+    CRIME: 80,
+    DOCUMENTARY: 99,
+    DRAMA: 18,
+    FAMILY: 10751,
+    FANTASY: 14,
+    HISTORY: 36,
+    HORROR: 27,
+    MUSIC: 10402,
+    MYSTERY: 9648,
+    ROMANCE: 10749,
+    SCIENCE_FICTION: 878,
+    TV_MOVIE: 10770,
+    THRILLER: 53,
+    WAR: 10752,
+    WESTERN: 37
+  },
+  TV: {
+    ACTION_AND_ADVENTURE: 10759,
+    ANIMATION: 16,
+    COMEDY: 35,
+    CRIME: 80,
+    DOCUMENTARY: 99,
+    DRAMA: 18,
+    FAMILY: 10751,
+    KIDS: 10762,
+    MYSTERY: 9648,
+    NEWS: 10763,
+    REALITY: 10764,
+    SCI_FI_AND_FANTASY: 10765,
+    SOAP: 10766,
+    TALK: 10767,
+    WAR_AND_POLITICS: 10768,
+    WESTERN: 37
+  }
+}
+
+// --------------------------------------------------
+//  Filter Types
+// --------------------------------------------------
+
+/**
+ * A range input (`{ gte, lte }`). The params are suffixed, ie
+ * `voteCount_GTE`, which `snakeCaseKeys` converts to `vote_count.gte`.
+ */
+const range = param => ({ gte, lte }) => ({
+  [`${param}_GTE`]: gte,
+  [`${param}_LTE`]: lte
+})
+
+/**
+ * A list of IDs (`{ anyOf, allOf, noneOf }`). The discover API uses `|` to
+ * match any of the IDs and `,` to match all of them. `noneOf` can only be
+ * used when the API has a `without` param for the filter.
+ */
+const idList = (withParam, withoutParam) => (input, field) => {
+  const { anyOf, allOf, noneOf } = input
+  if (anyOf && allOf) {
+    throw new UserInputError(
+      `Only one of "anyOf" or "allOf" can be used in filter.${field}`
+    )
+  }
+  return {
+    [withParam]: anyOf ? anyOf.join('|') : allOf && allOf.join(','),
+    ...(withoutParam && { [withoutParam]: noneOf && noneOf.join(',') })
+  }
+}
+
+// A value that is used as is
+const value = param => input => ({ [param]: input })
+
+const certification = input => ({
+  certificationCountry: input.country,
+  certification: input.eq,
+  certification_GTE: input.gte,
+  certification_LTE: input.lte
+})
+
+const watchProviders = input => ({
+  watchRegion: input.region,
+  ...idList('withWatchProviders')(input, 'watchProviders')
+})
+
+/**
+ * The discover params for each field of the `MovieFilter` and `ShowFilter`
+ * inputs. Genres are handled separately (see `getGenreIds`)
+ */
+const FILTER_FIELDS = {
+  MOVIE: {
+    releaseDate: range('releaseDate'),
+    primaryReleaseDate: range('primaryReleaseDate'),
+    primaryReleaseYear: value('primaryReleaseYear'),
+    year: value('year'),
+    voteAverage: range('voteAverage'),
+    voteCount: range('voteCount'),
+    runtime: range('withRuntime'),
+    cast: idList('withCast'),
+    crew: idList('withCrew'),
+    people: idList('withPeople'),
+    companies: idList('withCompanies', 'withoutCompanies'),
+    keywords: idList('withKeywords', 'withoutKeywords'),
+    originalLanguage: value('withOriginalLanguage'),
+    region: value('region'),
+    certification,
+    watchProviders
+  },
+  TV: {
+    airDate: range('airDate'),
+    firstAirDate: range('firstAirDate'),
+    firstAirDateYear: value('firstAirDateYear'),
+    includeNullFirstAirDates: value('includeNullFirstAirDates'),
+    voteAverage: range('voteAverage'),
+    voteCount: range('voteCount'),
+    runtime: range('withRuntime'),
+    networks: idList('withNetworks'),
+    companies: idList('withCompanies', 'withoutCompanies'),
+    keywords: idList('withKeywords', 'withoutKeywords'),
+    originalLanguage: value('withOriginalLanguage'),
+    watchProviders
+  }
+}
+
+/**
+ * Combines the `genres` (enum values) and `genreNames` of a filter into a
+ * single list of genre IDs. Names are matched case-insensitively against the
+ * official genres.
+ * @private
+ */
+function getGenreIds({ genres, genreNames }, mediaType, genreList) {
+  const ids = mapValues(genres || {}, list => {
+    return list.map(genre => GENRE_IDS[mediaType][genre])
+  })
+  const idsFromNames = mapValues(genreNames || {}, list => {
+    return list.map(name => {
+      const match = genreList.find(genre => {
+        return genre.name.toLowerCase() === name.trim().toLowerCase()
+      })
+      if (!match) {
+        throw new UserInputError(`Unknown genre: "${name}"`)
+      }
+      return match.id
+    })
+  })
+  return ['anyOf', 'allOf', 'noneOf'].reduce((result, key) => {
+    const list = [...(ids[key] || []), ...(idsFromNames[key] || [])]
+    return list.length ? { ...result, [key]: list } : result
+  }, {})
+}
+
+/**
+ * Converts a `MovieFilter` or `ShowFilter` input to the query parameters for
+ * the discover API. The params are camelCase, they are converted to the
+ * format of the REST API by `snakeCaseKeys`. Params without a value are not
+ * included, so the result can be merged with other params.
+ *
+ * @example
+ * filterToDiscoverParams(
+ *   { voteAverage: { gte: 7 }, genres: { anyOf: ['ACTION', 'COMEDY'] } },
+ *   { mediaType: 'MOVIE' }
+ * )
+ * // => { voteAverage_GTE: 7, withGenres: '28|35' }
+ *
+ * @param {Object} filter
+ * @param {Object} options
+ * @param {'MOVIE' | 'TV'} options.mediaType
+ * @param {Object[]} [options.genreList] the official genres, which are
+ *     required to convert `genreNames` to IDs
+ * @return {Object} the params
+ */
+function filterToDiscoverParams(filter, { mediaType, genreList = [] }) {
+  const { genres, genreNames, ...fields } = filter
+  const params = Object.entries(fields).reduce((result, [field, input]) => {
+    if (input == null) return result
+    return { ...result, ...FILTER_FIELDS[mediaType][field](input, field) }
+  }, {})
+  const genreIds = getGenreIds({ genres, genreNames }, mediaType, genreList)
+  return omitBy(
+    { ...params, ...idList('withGenres', 'withoutGenres')(genreIds, 'genres') },
+    isNil
+  )
+}
+
+// --------------------------------------------------
+//  Search Results
+// --------------------------------------------------
+
+// Checks if a search result has a value for the given property. The API uses
+// empty strings for missing dates.
+const hasValue = (item, property) => {
+  return item[property] != null && item[property] !== ''
+}
+
+const minimum = property => (value, item) => {
+  return hasValue(item, property) && item[property] >= value
+}
+
+const maximum = property => (value, item) => {
+  return hasValue(item, property) && item[property] <= value
+}
+
+// Shows without a first air date are included when the
+// `includeNullFirstAirDates` param is set.
+const firstAirDate = test => (value, item, params) => {
+  if (!hasValue(item, 'firstAirDate')) return !!params.includeNullFirstAirDates
+  return test(value, item)
+}
+
+const inYear = property => (value, item) => {
+  return hasValue(item, property) && item[property].startsWith(`${value}-`)
+}
+
+// Genre params use `|` to match any of the genres, and `,` to match all
+const withGenres = (value, { genreIds = [] }) => {
+  const ids = String(value)
+    .split(/[,|]/)
+    .map(Number)
+  const hasGenre = id => genreIds.includes(id)
+  return /\|/.test(value) ? ids.some(hasGenre) : ids.every(hasGenre)
+}
+
+const withoutGenres = (value, { genreIds = [] }) => {
+  return !String(value)
+    .split(/[,|]/)
+    .some(id => genreIds.includes(Number(id)))
+}
+
+const withOriginalLanguage = (value, { originalLanguage }) => {
+  return originalLanguage === value.split('-')[0]
+}
+
+/**
+ * The discover params that can be applied to search results. Other filters
+ * (ie cast or keywords) use data that is not included in search results.
+ */
+const SEARCH_FILTERS = {
+  MOVIE: {
+    releaseDate_GTE: minimum('releaseDate'),
+    releaseDate_LTE: maximum('releaseDate'),
+    // Search results only include the primary release date
+    primaryReleaseDate_GTE: minimum('releaseDate'),
+    primaryReleaseDate_LTE: maximum('releaseDate'),
+    primaryReleaseYear: inYear('releaseDate'),
+    year: inYear('releaseDate'),
+    voteAverage_GTE: minimum('voteAverage'),
+    voteAverage_LTE: maximum('voteAverage'),
+    voteCount_GTE: minimum('voteCount'),
+    voteCount_LTE: maximum('voteCount'),
+    withGenres,
+    withoutGenres,
+    withOriginalLanguage
+  },
+  TV: {
+    firstAirDate_GTE: firstAirDate(minimum('firstAirDate')),
+    firstAirDate_LTE: firstAirDate(maximum('firstAirDate')),
+    firstAirDateYear: firstAirDate(inYear('firstAirDate')),
+    voteAverage_GTE: minimum('voteAverage'),
+    voteAverage_LTE: maximum('voteAverage'),
+    voteCount_GTE: minimum('voteCount'),
+    voteCount_LTE: maximum('voteCount'),
+    withGenres,
+    withoutGenres,
+    withOriginalLanguage,
+    // Only changes the behavior of the `firstAirDate` filters
+    includeNullFirstAirDates: () => true
+  }
+}
+
+// The property of a search result for each `sort_by` value of the discover
+// API, for the values that can be used to sort search results.
+const SEARCH_SORT_PROPERTIES = {
+  popularity: 'popularity',
+  vote_average: 'voteAverage',
+  vote_count: 'voteCount',
+  release_date: 'releaseDate',
+  primary_release_date: 'releaseDate',
+  first_air_date: 'firstAirDate',
+  original_title: 'originalTitle'
+}
+
+/**
+ * Creates a function that checks if a search result matches the given
+ * discover params (see `filterToDiscoverParams`). This is used to filter
+ * search results on the server, since the search API does not support
+ * filters. Throws a `BAD_USER_INPUT` error if any of the params can't be
+ * applied to search results.
+ *
+ * @param {Object} params the discover params, without `sortBy`
+ * @param {'MOVIE' | 'TV'} mediaType
+ * @return {(item: Object) => boolean}
+ */
+function createSearchMatcher(params, mediaType) {
+  const filters = SEARCH_FILTERS[mediaType]
+  const entries = Object.entries(omitBy(params, isNil))
+  const unsupported = entries.filter(([param]) => !filters[param])
+  if (unsupported.length) {
+    const names = unsupported.map(([param]) => param).join(', ')
+    throw new UserInputError(
+      `These filters can't be combined with \`search\`: ${names}`
+    )
+  }
+  return item => {
+    return entries.every(([param, value]) => {
+      return filters[param](value, item, params)
+    })
+  }
+}
+
+/**
+ * Creates a function that sorts search results by a discover `sortBy` value
+ * (ie `release_date.desc`). Results without a value for the property are
+ * always sorted last. Throws a `BAD_USER_INPUT` error if search results can't
+ * be sorted by the value.
+ *
+ * @param {string} sortBy
+ * @return {(results: Object[]) => Object[]}
+ */
+function createSearchSorter(sortBy) {
+  const [key, order] = sortBy.split('.')
+  const property = SEARCH_SORT_PROPERTIES[key]
+  if (!property) {
+    throw new UserInputError(
+      `\`search\` results can't be sorted by ${key.toUpperCase()}`
+    )
+  }
+  return results => {
+    const [withValue, withoutValue] = partition(results, item => {
+      return hasValue(item, property)
+    })
+    return [...orderBy(withValue, property, order), ...withoutValue]
+  }
+}
+
+module.exports = {
+  filterToDiscoverParams,
+  createSearchMatcher,
+  createSearchSorter,
+  GENRE_IDS
+}
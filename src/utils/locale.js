@@ -0,0 +1,102 @@
+/**
+ * Normalizes a language tag to the format used by the TMDB API: an ISO 639-1
+ * language code, optionally followed by an ISO 3166-1 country code.
+ * Returns null if the value is not a valid language tag.
+ *
+ * @example
+ * normalizeLanguage('de-de') => 'de-DE'
+ * normalizeLanguage('PT') => 'pt'
+ * normalizeLanguage('*') => null
+ */
+function normalizeLanguage(value) {
+  const match = /^([a-z]{2})(?:[-_]([a-z]{2}))?$/i.exec(String(value).trim())
+  if (!match) return null
+  const [, language, country] = match
+  return country
+    ? `${language.toLowerCase()}-${country.toUpperCase()}`
+    : language.toLowerCase()
+}
+
+/**
+ * Normalizes an ISO 3166-1 country code. Returns null if the value is not a
+ * valid country code.
+ */
+function normalizeRegion(value) {
+  const match = /^[a-z]{2}$/i.exec(String(value).trim())
+  return match ? match[0].toUpperCase() : null
+}
+
+/**
+ * Creates a locale object from a language tag and (optional) region. If a
+ * region is not provided, it is taken from the language tag.
+ *
+ * @example
+ * createLocale('de-AT') => { language: 'de-AT', region: 'AT' }
+ * createLocale('de', 'ch') => { language: 'de', region: 'CH' }
+ *
+ * @param {string} [language]
+ * @param {string} [region]
+ * @return {{ language?: string, region?: string }}
+ */
+function createLocale(language, region) {
+  const locale = {}
+  if (language) {
+    const value = normalizeLanguage(language)
+    if (value) locale.language = value
+  }
+  if (region) {
+    const value = normalizeRegion(region)
+    if (value) locale.region = value
+  } else if (locale.language && locale.language.includes('-')) {
+    locale.region = locale.language.split('-')[1]
+  }
+  return locale
+}
+
+/**
+ * Gets the locale from the value of an `Accept-Language` header. This uses
+ * the supported language with the highest quality value.
+ *
+ * @example
+ * parseAcceptLanguage('fr-CA,fr;q=0.9,en;q=0.8')
+ * // => { language: 'fr-CA', region: 'CA' }
+ *
+ * @param {string} [header]
+ * @return {{ language?: string, region?: string }}
+ */
+function parseAcceptLanguage(header) {
+  if (!header) return {}
+  const [preferred] = header
+    .split(',')
+    .map(entry => {
+      const [tag, ...params] = entry.split(';')
+      const q = params.find(param => /^\s*q=/.test(param))
+      return { tag, quality: q ? Number(q.split('=')[1]) : 1 }
+    })
+    .filter(({ tag, quality }) => quality > 0 && normalizeLanguage(tag))
+    .sort((a, b) => b.quality - a.quality)
+  return preferred ? createLocale(preferred.tag) : {}
+}
+
+/**
+ * Sorts a list of images so the images in the given language come first. The
+ * order of the remaining images is not changed.
+ *
+ * @param {Object[]} images
+ * @param {string} [language] the language tag of the request (ie `de-DE`)
+ */
+function sortImagesByLanguage(images, language) {
+  if (!language || !images) return images
+  const [code] = language.split('-')
+  const localized = images.filter(image => image.iso_639_1 === code)
+  const other = images.filter(image => image.iso_639_1 !== code)
+  return [...localized, ...other]
+}
+
+module.exports = {
+  normalizeLanguage,
+  normalizeRegion,
+  createLocale,
+  parseAcceptLanguage,
+  sortImagesByLanguage
+}
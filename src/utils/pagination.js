@@ -0,0 +1,154 @@
+const range = require('lodash/range')
+const flatMap = require('lodash/flatMap')
+const { UserInputError } = require('apollo-server')
+
+// The number of results per page for most TMDB endpoints
+const PAGE_SIZE = 20
+// The TMDB API does not return pages after page 500
+const MAX_PAGE = 500
+// The max value of the `first` argument
+const MAX_FIRST = 100
+
+/**
+ * Cursors are the position of an item in the complete (unpaginated) list of
+ * results. They are the same regardless of which page the item was fetched
+ * from, or how many items were requested.
+ * @param {number} offset
+ * @return {string}
+ */
+function encodeCursor(offset) {
+  return Buffer.from(`offset:${offset}`).toString('base64')
+}
+
+/**
+ * @param {string} cursor
+ * @return {number} the offset
+ */
+function decodeCursor(cursor) {
+  const match = /^offset:(\d+)$/.exec(Buffer.from(cursor, 'base64').toString())
+  if (!match) throw new UserInputError(`Invalid cursor: "${cursor}"`)
+  return Number(match[1])
+}
+
+/**
+ * Adds cursor pagination (the `first` and `after` arguments) to a resolver
+ * that returns a page-based connection. When the arguments are used, the
+ * pages that contain the requested items are fetched (by calling the resolver
+ * with each `page`), and the results are stitched together. The first page is
+ * fetched first, then the other pages (up to the last page) in parallel.
+ *
+ * The connection object includes the `offset` of the first result, which is
+ * used to create the `edges` and `pageInfo` (see `createConnectionResolvers`)
+ *
+ * @example
+ * const resolvers = {
+ *   Query: {
+ *     allMovies: withCursorPagination((_, args, { dataSources }) => {
+ *       return dataSources.movieDatabaseV3.discover(args)
+ *     })
+ *   }
+ * }
+ *
+ * @param {Function} resolve the resolver, which accepts a `page` argument
+ * @param {Object} [options]
+ * @param {number} [options.pageSize] the number of results per page
+ * @return {Function} the resolver
+ */
+function withCursorPagination(resolve, { pageSize = PAGE_SIZE } = {}) {
+  return async (parent, args, context, info) => {
+    const { first, after, ...otherArgs } = args
+    if (first == null && after == null) {
+      const response = await resolve(parent, otherArgs, context, info)
+      if (!response || !response.results) return response
+      return { ...response, offset: (response.page - 1) * pageSize }
+    }
+    const count = first == null ? pageSize : first
+    if (count < 0 || count > MAX_FIRST) {
+      throw new UserInputError(`"first" must be between 0 and ${MAX_FIRST}`)
+    }
+    // The offset of the first requested item. When there is no cursor, the
+    // results start at the beginning of `page` (if set).
+    const offset =
+      after != null
+        ? decodeCursor(after) + 1
+        : ((otherArgs.page || 1) - 1) * pageSize
+    const firstPage = Math.floor(offset / pageSize) + 1
+    const lastPage = Math.min(
+      Math.floor((offset + Math.max(count, 1) - 1) / pageSize) + 1,
+      MAX_PAGE
+    )
+    if (firstPage > MAX_PAGE) {
+      return {
+        page: firstPage,
+        totalPages: 0,
+        totalResults: 0,
+        results: [],
+        offset
+      }
+    }
+    const fetchPage = page => {
+      return resolve(parent, { ...otherArgs, page }, context, info)
+    }
+    // The first page gives the total number of pages, so pages after the last
+    // one are not requested
+    const firstResponse = await fetchPage(firstPage)
+    const { totalPages = lastPage } = firstResponse || {}
+    const endPage = Math.max(firstPage, Math.min(lastPage, totalPages))
+    const otherResponses = await Promise.all(
+      range(firstPage + 1, endPage + 1).map(fetchPage)
+    )
+    const responses = [firstResponse, ...otherResponses]
+    const start = offset - (firstPage - 1) * pageSize
+    const results = flatMap(responses, response => response.results || [])
+    return {
+      ...responses[0],
+      results: results.slice(start, start + count),
+      offset
+    }
+  }
+}
+
+/**
+ * Creates the resolvers for the `edges` and `pageInfo` fields of a
+ * connection type.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.pageSize] the number of results per page
+ * @return {*} resolver map
+ */
+function createConnectionResolvers({ pageSize = PAGE_SIZE } = {}) {
+  // Connections that were not returned by `withCursorPagination` (ie the
+  // `similar` movies included in a details response) start at the page.
+  const getOffset = ({ offset, page = 1 }) => {
+    return offset != null ? offset : (page - 1) * pageSize
+  }
+  return {
+    edges: parent => {
+      const offset = getOffset(parent)
+      return parent.results.map((node, index) => {
+        return { node, cursor: encodeCursor(offset + index) }
+      })
+    },
+    pageInfo: parent => {
+      const offset = getOffset(parent)
+      const { results, totalResults } = parent
+      const maxResults = Math.min(totalResults, MAX_PAGE * pageSize)
+      return {
+        hasNextPage: offset + results.length < maxResults,
+        hasPreviousPage: offset > 0,
+        startCursor: results.length ? encodeCursor(offset) : null,
+        endCursor: results.length
+          ? encodeCursor(offset + results.length - 1)
+          : null
+      }
+    }
+  }
+}
+
+module.exports = {
+  PAGE_SIZE,
+  withCursorPagination,
+  createConnectionResolvers,
+  encodeCursor,
+  decodeCursor
+}
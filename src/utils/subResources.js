@@ -0,0 +1,110 @@
+const uniq = require('lodash/uniq')
+const flatMap = require('lodash/flatMap')
+const { getNamedType, isAbstractType, valueFromASTUntyped } = require('graphql')
+const { PAGE_SIZE } = require('./pagination')
+
+/**
+ * Maps fields on the `Movie`, `Show`, `Season`, `Episode` and `Person` types
+ * to the sub-resource (`append_to_response`) of the details request that
+ * contains the data for that field. Fields that are not listed here are
+ * included in the basic details response.
+ */
+const SUB_RESOURCES = {
+  cast: 'credits',
+  crew: 'credits',
+  posters: 'images',
+  backdrops: 'images',
+  videos: 'videos',
+  reviews: 'reviews',
+  keywords: 'keywords',
+  similar: 'similar',
+  recommendations: 'recommendations',
+  releaseDates: 'release_dates',
+  contentRatings: 'content_ratings',
+  externalIds: 'external_ids',
+  filmography: 'combined_credits'
+}
+
+// Fields of paginated sub-resources. The details response only includes the
+// first page, so the sub-resource is only requested when the field selects
+// the first page. Other pages are fetched from the individual endpoints.
+const PAGINATED_FIELDS = ['similar', 'recommendations']
+
+/**
+ * Gets the sub-resources that are required to resolve the selection set of
+ * the current field. This is used by resolvers that return a single detail
+ * object (ie `Query.movie`), so the details request only includes the
+ * sub-resources that are requested in the query.
+ *
+ * @param {GraphQLResolveInfo} info
+ * @return {string[]}
+ */
+function getSubResources(info) {
+  const type = getNamedType(info.returnType)
+  const fieldNames = collectFieldNames(info, type, info.fieldNodes)
+  return uniq(flatMap(fieldNames, fieldName => SUB_RESOURCES[fieldName] || []))
+}
+
+/**
+ * Gets the names of the fields that are selected on the given type, including
+ * fields in fragments that apply to the type.
+ * @private
+ */
+function collectFieldNames(info, type, nodes) {
+  return nodes.reduce((fieldNames, node) => {
+    if (!node.selectionSet) return fieldNames
+    node.selectionSet.selections.forEach(selection => {
+      if (selection.kind === 'Field') {
+        if (isPaginated(selection) && !isFirstPage(info, selection)) return
+        fieldNames.push(selection.name.value)
+        return
+      }
+      const fragment =
+        selection.kind === 'FragmentSpread'
+          ? info.fragments[selection.name.value]
+          : selection
+      if (fragment && appliesToType(info, fragment, type)) {
+        fieldNames.push(...collectFieldNames(info, type, [fragment]))
+      }
+    })
+    return fieldNames
+  }, [])
+}
+
+/** @private */
+function isPaginated(fieldNode) {
+  return PAGINATED_FIELDS.includes(fieldNode.name.value)
+}
+
+/**
+ * Checks if the arguments of a paginated field only select results from the
+ * first page (see `withCursorPagination`).
+ * @private
+ */
+function isFirstPage(info, fieldNode) {
+  const args = fieldNode.arguments.reduce((result, arg) => {
+    const value = valueFromASTUntyped(arg.value, info.variableValues)
+    return { ...result, [arg.name.value]: value }
+  }, {})
+  const { page, first, after } = args
+  return (page == null || page === 1) && after == null && !(first > PAGE_SIZE)
+}
+
+/**
+ * Checks if a fragment applies to the given type. Fragments on an interface or
+ * union (ie `... on Media`) apply to all of its possible types. When the type
+ * itself is abstract (ie the `media` field of a mutation response), the
+ * concrete type is not known yet, so all fragments are included.
+ * @private
+ */
+function appliesToType(info, fragment, type) {
+  if (!fragment.typeCondition || isAbstractType(type)) return true
+  const condition = info.schema.getType(fragment.typeCondition.name.value)
+  if (!condition) return false
+  if (condition === type) return true
+  return (
+    isAbstractType(condition) && info.schema.isPossibleType(condition, type)
+  )
+}
+
+module.exports = { getSubResources }
@@ -16,5 +16,20 @@ module.exports.toMediaType = function toMediaType(typename) {
 
 // Convert `mediaType` to typename
 module.exports.toTypename = function toTypename(mediaType) {
+  if (/^tv_season$/i.test(mediaType)) return 'Season'
+  if (/^tv_episode$/i.test(mediaType)) return 'Episode'
   return /^(tv)$/i.test(mediaType) ? 'Show' : capitalize(mediaType)
 }
+
+// Convert the numeric `type` of a movie release to the `ReleaseType` enum
+module.exports.toReleaseType = function toReleaseType(type) {
+  const releaseTypes = [
+    'PREMIERE',
+    'THEATRICAL_LIMITED',
+    'THEATRICAL',
+    'DIGITAL',
+    'PHYSICAL',
+    'TV'
+  ]
+  return releaseTypes[type - 1]
+}